@@ -36,7 +36,15 @@ await mainMenu.init()
 await footerMenu.init()
 
 // Example 4: Dynamic menu creation and initialization
-function createDynamicMenu() {
+// With observe: true, items added to or removed from the menu later are picked up automatically
+const observedMenu = new Menubar({
+  menuSelector: '.dynamic-menu',
+  buttonClass: 'menu__link',
+  linkClass: 'menu__link',
+  observe: true,
+})
+
+async function createDynamicMenu() {
   const menuHTML = `
     <nav class="dynamic-menu" data-breakpoint="768">
       <ul class="menu">
@@ -60,22 +68,28 @@ function createDynamicMenu() {
 
   document.body.insertAdjacentHTML('beforeend', menuHTML)
 
-  const dynamicMenuConfig = new AccessibleMenu({
-    menuSelector: '.dynamic-menu',
-    buttonClass: 'menu__link',
-    linkClass: 'menu__link',
-  })
+  await observedMenu.init()
+}
+
+// Example 5: Adding items to the menu initialized in Example 4
+function addMenuItem(label, href) {
+  const products = document.querySelector('.dynamic-menu [data-depth="1"]')
+  products.insertAdjacentHTML(
+    'beforeend',
+    `<li class="menu__item"><a href="${href}" class="menu__link">${label}</a></li>`,
+  )
 
-  dynamicMenuConfig.init()
+  // observedMenu picks up the new item automatically, a menu without observe would call refresh
+  // menu.refresh(document.querySelector('.dynamic-menu'))
 }
 
-// Example 5: Cleanup when removing menus
+// Example 6: Cleanup when removing menus
 function removeMenu() {
   const menuElement = document.querySelector('.dynamic-menu')
   if (menuElement) {
-    customMenu.destroy(menuElement)
+    observedMenu.destroy(menuElement)
     menuElement.remove()
   }
 }
 
-export { customMenu, mainMenu, footerMenu, createDynamicMenu, removeMenu }
+export { customMenu, mainMenu, footerMenu, observedMenu, createDynamicMenu, addMenuItem, removeMenu }
@@ -0,0 +1,193 @@
+/**
+ * @file
+ * `<accessible-menubar>` custom element
+ *
+ * Wraps menu markup and initializes a Menubar for it while the element is connected,
+ * so menus inside web components and frameworks need no setup code. Configuration is
+ * read from attributes, options that can't be written as attributes (functions, messages)
+ * are set through the `config` property. Changing either re-initializes the menu.
+ */
+
+import { Menubar } from './menus/Menubar.js'
+
+/**
+ * Parse a boolean attribute, anything but "false" counts as set
+ * @param {string} value - The attribute value
+ * @returns {boolean} - The parsed value
+ */
+const parseBoolean = value => value !== 'false'
+
+/**
+ * Parse a numeric attribute
+ * @param {string} value - The attribute value
+ * @returns {number|null} - The number, or null for values that are not numbers
+ */
+const parseNumber = value => (value === '' || isNaN(Number(value)) ? null : Number(value))
+
+/**
+ * Parse an attribute that may be "null" to turn an option off
+ * @param {string} value - The attribute value
+ * @returns {string|null} - The value, or null
+ */
+const parseNullableString = value => (value === '' || value === 'null' ? null : value)
+
+/**
+ * Attributes reflected to Menubar options, with the parser for their value
+ */
+const CONFIG_ATTRIBUTES = {
+  'menu-selector': ['menuSelector', String],
+  'button-class': ['buttonClass', String],
+  'link-class': ['linkClass', String],
+  'item-class': ['itemClass', String],
+  'mega-menu-class': ['megaMenuClass', String],
+  'mobile-breakpoint': ['mobileBreakpoint', parseNumber],
+  'mobile-media-query': ['mobileMediaQuery', parseNullableString],
+  'mobile-control-id': ['mobileControlId', parseNullableString],
+  'has-mobile': ['hasMobile', parseBoolean],
+  'type-ahead': ['typeAhead', parseBoolean],
+  'page-step': ['pageStep', parseNumber],
+  'strict-apg': ['strictApg', parseBoolean],
+  orientation: ['orientation', String],
+  direction: ['direction', String],
+  observe: ['observe', parseBoolean],
+  'apply-roles': ['applyRoles', parseBoolean],
+  announce: ['announce', parseBoolean],
+  'active-trail': ['activeTrail', parseNullableString],
+  'expand-active-trail': ['expandActiveTrail', parseBoolean],
+  'trap-focus': ['trapFocus', parseBoolean],
+  'inert-content': ['inertContent', parseBoolean],
+  'lock-scroll': ['lockScroll', parseBoolean],
+  'mobile-mode': ['mobileMode', String],
+  'drawer-placement': ['drawerPlacement', String],
+}
+
+// Keeps the module importable where HTMLElement doesn't exist, e.g. during server rendering
+const BaseElement = typeof HTMLElement === 'undefined' ? class {} : HTMLElement
+
+/**
+ * AccessibleMenubarElement - Initializes a Menubar for the menu containers it wraps
+ *
+ * The element itself is used as the menu container when it matches `menuSelector`,
+ * otherwise every matching container inside it is initialized. Menus in the element's
+ * own shadow root are initialized instead when it has one.
+ *
+ * @class AccessibleMenubarElement
+ */
+export class AccessibleMenubarElement extends BaseElement {
+  static get observedAttributes() {
+    return Object.keys(CONFIG_ATTRIBUTES)
+  }
+
+  constructor() {
+    super()
+    this.menubar = null
+    this.options = {}
+    this.ready = Promise.resolve()
+    this.pendingReinitialize = null
+  }
+
+  /**
+   * The options passed to Menubar, read from the attributes and the `config` property
+   * @returns {Object} - The Menubar options
+   */
+  get config() {
+    const config = { ...this.options }
+
+    Object.entries(CONFIG_ATTRIBUTES).forEach(([attribute, [option, parse]]) => {
+      if (this.hasAttribute(attribute)) {
+        config[option] = parse(this.getAttribute(attribute))
+      }
+    })
+
+    return config
+  }
+
+  /**
+   * Set options that can't be written as attributes, attributes still take precedence
+   * @param {Object} options - Menubar options
+   */
+  set config(options) {
+    this.options = { ...options }
+    this.reinitialize()
+  }
+
+  /**
+   * Initialize the menu once the element is in the document
+   */
+  connectedCallback() {
+    this.initialize()
+  }
+
+  /**
+   * Destroy the menu when the element is removed, restoring the original markup
+   */
+  disconnectedCallback() {
+    this.menubar?.destroyAll()
+    this.menubar = null
+  }
+
+  /**
+   * Re-initialize with the new configuration when an observed attribute changes
+   * @param {string} name - The attribute name
+   * @param {string|null} oldValue - The previous value
+   * @param {string|null} newValue - The new value
+   */
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (oldValue !== newValue) {
+      this.reinitialize()
+    }
+  }
+
+  /**
+   * Create the Menubar and initialize the menus of this element
+   * @returns {Promise<void>} - Resolves once the menus, including mobile controls, are initialized
+   */
+  initialize() {
+    if (this.menubar || !this.isConnected) return Promise.resolve()
+
+    this.menubar = new Menubar(this.config)
+    this.ready = this.menubar.init(this.shadowRoot || this)
+
+    return this.ready
+  }
+
+  /**
+   * Destroy and initialize again, only while connected
+   * A pending initialization is awaited first, and changes made meanwhile share one re-initialization.
+   * @returns {Promise<void>} - Resolves once the menus are initialized again
+   */
+  reinitialize() {
+    if (!this.menubar) return Promise.resolve()
+
+    if (!this.pendingReinitialize) {
+      this.pendingReinitialize = this.ready.then(() => {
+        this.pendingReinitialize = null
+        if (!this.menubar) return undefined
+
+        this.disconnectedCallback()
+        return this.initialize()
+      })
+      this.ready = this.pendingReinitialize
+    }
+
+    return this.ready
+  }
+}
+
+/**
+ * Register the custom element
+ * @param {string} [tagName='accessible-menubar'] - The tag name to register
+ * @returns {CustomElementConstructor|undefined} - The registered class, undefined without custom element support
+ */
+export function defineAccessibleMenubar(tagName = 'accessible-menubar') {
+  if (typeof customElements === 'undefined') return undefined
+
+  if (!customElements.get(tagName)) {
+    // A subclass per tag name, a class can only be registered once
+    customElements.define(tagName, class extends AccessibleMenubarElement {})
+  }
+
+  return customElements.get(tagName)
+}
+
+defineAccessibleMenubar()
@@ -0,0 +1,81 @@
+/**
+ * @file
+ * Find the menu links pointing at the current page
+ *
+ * Links are compared with the location either exactly, by path prefix or with a custom
+ * function. Prefix matching keeps only the most specific links, so a link to `/services`
+ * wins over a link to `/` on `/services/design`.
+ */
+
+/**
+ * Remove a trailing slash so `/about` and `/about/` compare equal
+ * @param {string} pathname - The path
+ * @returns {string} - The path without a trailing slash, `/` stays as is
+ */
+function trimSlash(pathname) {
+  return pathname.length > 1 ? pathname.replace(/\/+$/, '') : pathname
+}
+
+/**
+ * Resolve the href of a link
+ * @param {HTMLElement} link - The link element
+ * @returns {URL|null} - The URL, or null if the href can't be parsed, e.g. `http://[`
+ */
+function parseHref(link) {
+  try {
+    return new URL(link.getAttribute('href'), link.baseURI)
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Check if a link URL points at the location
+ * @param {URL} url - The resolved link URL
+ * @param {string|Function} matcher - 'exact', 'prefix' or a `(url, link, location) => boolean` function
+ * @param {HTMLElement} link - The link element
+ * @param {Location|URL} location - The current location
+ * @returns {boolean} - True if the link matches
+ */
+export function matchesLocation(url, matcher, link, location) {
+  if (typeof matcher === 'function') {
+    return Boolean(matcher(url, link, location))
+  }
+  if (url.origin !== location.origin) return false
+
+  // In-page links, including `#` placeholders, only match when they point at the current hash
+  const href = link.getAttribute('href')
+  if (href.startsWith('#') && (href === '#' || url.hash !== location.hash)) return false
+  if (url.hash && url.hash !== location.hash) return false
+
+  const linkPath = trimSlash(url.pathname)
+  const currentPath = trimSlash(location.pathname)
+
+  if (matcher === 'prefix') {
+    return currentPath === linkPath || currentPath.startsWith(linkPath === '/' ? '/' : `${linkPath}/`)
+  }
+
+  return currentPath === linkPath && url.search === location.search && url.hash === location.hash
+}
+
+/**
+ * Find the links pointing at the current page
+ * @param {HTMLAnchorElement[]} links - The links to compare
+ * @param {string|Function|boolean} matcher - 'exact', 'prefix' or a custom function. True means 'exact'.
+ * @param {Location|URL} [location=window.location] - The current location
+ * @returns {HTMLAnchorElement[]} - The matching links
+ */
+export function findActiveLinks(links, matcher, location = window.location) {
+  const mode = matcher === true ? 'exact' : matcher
+  const matches = links
+    .map(link => ({ link, url: parseHref(link) }))
+    .filter(({ link, url }) => url && matchesLocation(url, mode, link, location))
+
+  if (mode !== 'prefix') {
+    return matches.map(({ link }) => link)
+  }
+
+  // Only the longest matching paths belong to the trail
+  const longest = Math.max(...matches.map(({ url }) => trimSlash(url.pathname).length))
+  return matches.filter(({ url }) => trimSlash(url.pathname).length === longest).map(({ link }) => link)
+}
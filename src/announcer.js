@@ -0,0 +1,95 @@
+/**
+ * @file
+ * Screen reader announcements for menu state changes
+ *
+ * Some screen reader and browser combinations say nothing when only aria-expanded
+ * changes. The announcer writes a short message into a visually hidden polite live
+ * region instead. Messages are templates with `{label}` and `{count}` placeholders,
+ * or functions receiving the same values, so they can be localized.
+ */
+
+/**
+ * Default messages, keyed by the state change they describe
+ */
+export const DEFAULT_MESSAGES = {
+  submenuOpen: '{label} submenu, {count} items',
+  mobileOpen: 'Navigation menu opened',
+  mobileClose: 'Navigation menu closed',
+}
+
+// Keeps the live region readable by screen readers while hiding it visually
+const VISUALLY_HIDDEN =
+  'position:absolute;width:1px;height:1px;margin:-1px;padding:0;overflow:hidden;clip:rect(0,0,0,0);white-space:nowrap;border:0'
+
+/**
+ * Fill in the placeholders of a message
+ * @param {string|Function} message - A template like '{label} submenu' or a function receiving the values
+ * @param {Object} values - The placeholder values
+ * @returns {string} - The message, empty when the template is missing
+ */
+export function formatMessage(message, values) {
+  if (typeof message === 'function') {
+    return String(message(values) ?? '')
+  }
+  if (typeof message !== 'string') return ''
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in values ? String(values[name]) : placeholder))
+}
+
+/**
+ * Announcer - One polite live region shared by every menu of a Menubar
+ */
+export class Announcer {
+  /**
+   * Create an Announcer instance
+   * @param {Object} [messages] - Messages overriding DEFAULT_MESSAGES
+   * @param {Document} [ownerDocument=document] - The document to add the live region to
+   */
+  constructor(messages = {}, ownerDocument = document) {
+    this.messages = { ...DEFAULT_MESSAGES, ...messages }
+    this.ownerDocument = ownerDocument
+    this.region = null
+  }
+
+  /**
+   * Get the live region, adding it to the document on first use
+   * @returns {HTMLElement} - The live region
+   */
+  getRegion() {
+    if (!this.region) {
+      this.region = this.ownerDocument.createElement('div')
+      this.region.className = 'c-menu-announcer'
+      this.region.setAttribute('aria-live', 'polite')
+      this.region.setAttribute('aria-atomic', 'true')
+      this.region.style.cssText = VISUALLY_HIDDEN
+      this.ownerDocument.body.append(this.region)
+    }
+
+    return this.region
+  }
+
+  /**
+   * Announce a state change
+   * @param {string} name - The message key, e.g. 'submenuOpen'
+   * @param {Object} [values] - Values for the placeholders of the message
+   * @returns {string} - The announced text, empty when there was nothing to announce
+   */
+  announce(name, values = {}) {
+    const message = formatMessage(this.messages[name], values).trim()
+    if (!message) return ''
+
+    const region = this.getRegion()
+
+    // Live regions only speak changes, so a repeated message gets a non-breaking space appended
+    region.textContent = region.textContent === message ? `${message}\u00a0` : message
+    return message
+  }
+
+  /**
+   * Remove the live region
+   */
+  destroy() {
+    this.region?.remove()
+    this.region = null
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * AttributeSnapshot - Records attribute and class changes so they can be undone
+ *
+ * Every attribute the library writes goes through a snapshot, which remembers the
+ * value the element had before the first change. Calling restore() puts the markup
+ * back the way it was found, which is what destroy() relies on.
+ */
+export class AttributeSnapshot {
+  constructor() {
+    this.attributes = new Map()
+    this.classes = new Map()
+    this.classless = new Set()
+  }
+
+  /**
+   * Remember the original value of an attribute before it is first changed
+   * @param {HTMLElement} element - The element being changed
+   * @param {string} name - The attribute name
+   */
+  record(element, name) {
+    if (!this.attributes.has(element)) {
+      this.attributes.set(element, new Map())
+    }
+
+    const originals = this.attributes.get(element)
+    if (!originals.has(name)) {
+      originals.set(name, element.getAttribute(name))
+    }
+  }
+
+  /**
+   * Set an attribute, recording its original value
+   * @param {HTMLElement} element - The element to change
+   * @param {string} name - The attribute name
+   * @param {string} value - The new value
+   */
+  set(element, name, value) {
+    this.record(element, name)
+    element.setAttribute(name, value)
+  }
+
+  /**
+   * Remove an attribute, recording its original value
+   * @param {HTMLElement} element - The element to change
+   * @param {string} name - The attribute name
+   */
+  remove(element, name) {
+    this.record(element, name)
+    element.removeAttribute(name)
+  }
+
+  /**
+   * Add a class, remembering it only if the element did not already have it
+   * @param {HTMLElement} element - The element to change
+   * @param {string} className - The class to add
+   */
+  addClass(element, className) {
+    if (element.classList.contains(className)) return
+
+    if (!this.classes.has(element)) {
+      this.classes.set(element, new Set())
+    }
+    if (!element.hasAttribute('class')) {
+      this.classless.add(element)
+    }
+    this.classes.get(element).add(className)
+    element.classList.add(className)
+  }
+
+  /**
+   * Read the attributes of an element as they were before the library changed them
+   * @param {HTMLElement} element - The element to read
+   * @returns {Object<string, string>} - Attribute values by name, without attributes the library added
+   */
+  getOriginalAttributes(element) {
+    const attributes = {}
+    Array.from(element.attributes).forEach(({ name, value }) => {
+      attributes[name] = value
+    })
+
+    this.attributes.get(element)?.forEach((value, name) => {
+      if (value === null) {
+        delete attributes[name]
+      } else {
+        attributes[name] = value
+      }
+    })
+
+    return attributes
+  }
+
+  /**
+   * Put every recorded attribute and class back to its original state
+   */
+  restore() {
+    this.attributes.forEach((originals, element) => {
+      originals.forEach((value, name) => {
+        if (value === null) {
+          element.removeAttribute(name)
+        } else {
+          element.setAttribute(name, value)
+        }
+      })
+    })
+
+    this.classes.forEach((classNames, element) => {
+      classNames.forEach(className => element.classList.remove(className))
+
+      // Don't leave an empty class attribute behind on elements that had none
+      if (this.classless.has(element) && element.classList.length === 0) {
+        element.removeAttribute('class')
+      }
+    })
+
+    this.attributes.clear()
+    this.classes.clear()
+    this.classless.clear()
+  }
+}
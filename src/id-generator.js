@@ -0,0 +1,98 @@
+/**
+ * @file
+ * Deterministic ids for menu controllers and panels
+ *
+ * Ids are derived from the menu container and the path of labels leading to a
+ * controller, so the same markup always gets the same ids, for example between a
+ * server render and hydration. A numeric suffix is added when an id is taken.
+ */
+
+import { normalizeLabel } from './type-ahead.js'
+
+/**
+ * Turn a label into an id-safe slug
+ * @param {string} text - The label
+ * @returns {string} - Lowercase letters, digits and dashes
+ */
+export function slugify(text) {
+  return normalizeLabel(text)
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+}
+
+/**
+ * Get the labels and positions of the menu items leading to an element
+ * @param {HTMLElement} element - The link or controller
+ * @param {HTMLElement} menuContainer - The menu container
+ * @param {Object} config - The menu configuration
+ * @returns {{label: string, index: number}[]} - One entry per menu level, outermost first
+ */
+export function getMenuPath(element, menuContainer, config) {
+  const path = []
+  let item = element.closest(`.${config.itemClass}`)
+
+  while (item && menuContainer.contains(item)) {
+    const link = Array.from(item.children).find(child => child.classList.contains(config.linkClass))
+    const siblings = Array.from(item.parentElement.children).filter(sibling =>
+      sibling.classList.contains(config.itemClass),
+    )
+
+    path.unshift({ label: link ? link.textContent.trim() : '', index: siblings.indexOf(item) })
+    item = item.parentElement.closest(`.${config.itemClass}`)
+  }
+
+  return path
+}
+
+/**
+ * Build the default id for a controller from its menu container and path
+ * @param {Object} context - The id context
+ * @param {HTMLElement} context.menuContainer - The menu container
+ * @param {{label: string, index: number}[]} context.path - The path to the controller
+ * @returns {string} - The id, e.g. `main-nav-services-design`
+ */
+export function createMenuId({ menuContainer, path }) {
+  const prefix = menuContainer.id || 'menu'
+  const segments = path.map(({ label, index }) => slugify(label) || String(index))
+
+  return [prefix, ...segments].join('-')
+}
+
+/**
+ * Collect the ids, and values of a data attribute, used in a root node
+ * Detached elements have their topmost ancestor as root node, which is searched along with its descendants.
+ * @param {Node} root - The document, shadow root or detached element to search
+ * @param {string} [dataAttribute] - A data attribute holding ids
+ * @returns {Set<string>} - The ids in use
+ */
+export function getTakenIds(root, dataAttribute) {
+  const selector = dataAttribute ? `[id], [${dataAttribute}]` : '[id]'
+  const elements = Array.from(root.querySelectorAll(selector))
+  if (root.nodeType === Node.ELEMENT_NODE) {
+    elements.unshift(root)
+  }
+
+  const taken = new Set()
+  elements.forEach(element => {
+    if (element.id) taken.add(element.id)
+    if (dataAttribute && element.hasAttribute(dataAttribute)) taken.add(element.getAttribute(dataAttribute))
+  })
+
+  return taken
+}
+
+/**
+ * Make an id unique among the taken ids, and mark it as taken
+ * @param {string} id - The preferred id
+ * @param {Set<string>} taken - The ids in use, from getTakenIds
+ * @returns {string} - The id, with `-2`, `-3`, ... appended when it is taken
+ */
+export function getUniqueId(id, taken) {
+  let candidate = id
+  for (let suffix = 2; taken.has(candidate); suffix++) {
+    candidate = `${id}-${suffix}`
+  }
+
+  taken.add(candidate)
+  return candidate
+}
@@ -19,12 +19,219 @@ export interface MenuConfig {
   controllerClass?: string
   /** Mobile breakpoint in pixels */
   mobileBreakpoint?: number
-  /** ID of the mobile menu control button */
+  /** Media query for the mobile layout, e.g. `'(hover: none), (pointer: coarse)'`, or a function returning one. Overrides `mobileBreakpoint`. */
+  mobileMediaQuery?: string | MediaQueryList | ((menuContainer: HTMLElement | null, config: MenuConfig) => string | MediaQueryList) | null
+  /** ID of the mobile menu control button, used by containers with an empty `data-mobile` attribute */
   mobileControlId?: string | null
   /** Boolean for if mobile menus should be initialized */
   hasMobile?: boolean
   /** Data attribute for plugin ID */
   dataPluginIdAttribute?: string
+  /** Move focus to the next item at the same level whose label starts with the typed characters */
+  typeAhead?: boolean
+  /** Milliseconds before typed characters reset */
+  typeAheadTimeout?: number
+  /** Number of items PageUp/PageDown jump within the current level. Null leaves the keys alone. */
+  pageStep?: number | null
+  /** Follow the APG menubar pattern exactly: Enter/Space and ArrowUp move into the submenu, Escape returns to the owning controller */
+  strictApg?: boolean
+  /** Top-level layout. Vertical menubars move between top-level items with Up/Down and open flyouts with Right. `aria-orientation` on the top-level ul takes precedence. */
+  orientation?: 'horizontal' | 'vertical'
+  /** Text direction. 'auto' detects it from the computed `direction` or `dir` of the menu container; Left and Right are mirrored for 'rtl'. */
+  direction?: 'auto' | 'ltr' | 'rtl'
+  /** Watch menu containers with a MutationObserver and refresh them when items are added or removed */
+  observe?: boolean
+  /** Apply menubar, menu, menuitem and none roles, with a roving tabindex on the top-level items. Menubar only. */
+  applyRoles?: boolean
+  /** Announce opened submenus and mobile menus in a polite live region */
+  announce?: boolean
+  /** Announcement templates with `{label}` and `{count}` placeholders, or functions receiving those values */
+  messages?: MenuMessages
+  /** Mark the link to the current page with `aria-current="page"`: 'exact' or 'prefix' path matching, or a custom function */
+  activeTrail?: 'exact' | 'prefix' | ((url: URL, link: HTMLAnchorElement, location: Location | URL) => boolean) | null
+  /** CSS class added to the menu items and controllers leading to the current page */
+  activeTrailClass?: string
+  /** Expand the controllers of the active trail when the mobile menu opens */
+  expandActiveTrail?: boolean
+  /** Keep Tab cycling between the mobile toggle and the visible items of the open mobile menu. Escape closes it from any depth. */
+  trapFocus?: boolean
+  /** Make the page outside the open mobile menu and its toggle `inert` (`aria-hidden` where inert is unsupported) */
+  inertContent?: boolean
+  /** Lock body scroll while the mobile menu is open, adding the scrollbar width as padding to avoid a layout jump */
+  lockScroll?: boolean
+  /** 'inline' expands mobile submenus in place, 'drilldown' replaces the current panel with the opened submenu, adding a back button and a heading, 'drawer' opens the mobile menu as an off-canvas modal dialog with a backdrop */
+  mobileMode?: 'inline' | 'drilldown' | 'drawer'
+  /** Edge the drawer slides in from when `mobileMode` is 'drawer' */
+  drawerPlacement?: 'left' | 'right' | 'top'
+  /** Build the id of a controller that has none. The result is suffixed with `-2`, `-3`, ... when it is taken. */
+  idGenerator?: ((element: HTMLElement, context: MenuIdContext) => string) | null
+  /** DisclosureNav only: move between top-level items and panel links with the arrow keys */
+  arrowKeys?: boolean
+}
+
+/**
+ * A localizable announcement or label
+ */
+export type MenuMessage = string | ((values: { label: string; count?: number }) => string)
+
+/**
+ * Announcements made when `announce` is enabled, and the labels of the drill-down and drawer mobile modes
+ * @interface MenuMessages
+ */
+export interface MenuMessages {
+  /** A submenu opened. Defaults to '{label} submenu, {count} items'. */
+  submenuOpen?: MenuMessage
+  /** The mobile menu opened. Defaults to 'Navigation menu opened'. */
+  mobileOpen?: MenuMessage
+  /** The mobile menu closed. Defaults to 'Navigation menu closed'. */
+  mobileClose?: MenuMessage
+  /** Label of the drill-down back button, `{label}` is the parent panel. Defaults to 'Back to {label}'. */
+  drilldownBack?: MenuMessage
+  /** The parent label of top-level panels in drill-down mode, `{label}` is the menu container's aria-label. Defaults to 'Main menu'. */
+  drilldownRoot?: MenuMessage
+  /** Label of the close button of the drawer mobile mode, `{label}` is the toggle text. Defaults to 'Close menu'. */
+  drawerClose?: MenuMessage
+}
+
+/**
+ * What a custom id generator knows about a controller
+ * @interface MenuIdContext
+ */
+export interface MenuIdContext {
+  /** The menu container */
+  menuContainer: HTMLElement
+  /** Label and position of each menu item leading to the controller, outermost first */
+  path: { label: string; index: number }[]
+  /** The menu configuration */
+  config: MenuConfig
+}
+
+/**
+ * What caused a menu state change
+ */
+export type MenuEventTrigger =
+  | 'click'
+  | 'keyboard'
+  | 'outside-click'
+  | 'escape'
+  | 'focusout'
+  | 'breakpoint'
+  | 'swipe'
+  | 'api'
+
+/**
+ * Detail object attached to every menu CustomEvent
+ * @interface MenuEventDetail
+ */
+export interface MenuEventDetail {
+  /** The controller (or mobile toggle) whose state changed */
+  controller: HTMLElement | null
+  /** The submenu panel (or menu container for mobile events) */
+  submenu: HTMLElement | null
+  /** Depth of the submenu, 0 for the mobile menu */
+  depth: number
+  /** What caused the change */
+  trigger: MenuEventTrigger
+  /** The activated link, only set for `menu:activate` */
+  item?: HTMLElement
+}
+
+/**
+ * The layout a menu is in, 'mobile' while the mobile media query matches
+ */
+export type MenuMode = 'mobile' | 'desktop'
+
+/**
+ * Detail object of the `menu:modechange` event
+ * @interface MenuModeChangeDetail
+ */
+export interface MenuModeChangeDetail {
+  /** The menu container */
+  menuContainer: HTMLElement
+  /** The layout the menu is in now */
+  mode: MenuMode
+  /** The layout before the breakpoint was crossed */
+  previousMode: MenuMode
+}
+
+/**
+ * Event names dispatched from the menu container.
+ * `before*` events and `menu:activate` are cancelable with `preventDefault()`.
+ */
+export declare const MENU_EVENTS: {
+  readonly beforeOpen: 'menu:beforeopen'
+  readonly open: 'menu:open'
+  readonly beforeClose: 'menu:beforeclose'
+  readonly close: 'menu:close'
+  readonly activate: 'menu:activate'
+  readonly mobileBeforeOpen: 'mobile:beforeopen'
+  readonly mobileOpen: 'mobile:open'
+  readonly mobileBeforeClose: 'mobile:beforeclose'
+  readonly mobileClose: 'mobile:close'
+  readonly modeChange: 'menu:modechange'
+}
+
+declare global {
+  interface HTMLElementEventMap {
+    'menu:beforeopen': CustomEvent<MenuEventDetail>
+    'menu:open': CustomEvent<MenuEventDetail>
+    'menu:beforeclose': CustomEvent<MenuEventDetail>
+    'menu:close': CustomEvent<MenuEventDetail>
+    'menu:activate': CustomEvent<MenuEventDetail>
+    'mobile:beforeopen': CustomEvent<MenuEventDetail>
+    'mobile:open': CustomEvent<MenuEventDetail>
+    'mobile:beforeclose': CustomEvent<MenuEventDetail>
+    'mobile:close': CustomEvent<MenuEventDetail>
+    'menu:modechange': CustomEvent<MenuModeChangeDetail>
+  }
+}
+
+/**
+ * A menu item used to render a menu from data
+ */
+export interface MenuItemData {
+  /** The visible label */
+  label: string
+  /** The link target. Items with children render a controller instead of a link. */
+  href?: string
+  /** Items of the submenu */
+  children?: MenuItemData[]
+  /** Render the submenu inside a mega menu wrapper with a span controller */
+  mega?: boolean
+  /** Extra attributes for the link or controller element */
+  attributes?: Record<string, string>
+}
+
+/**
+ * A menu item read back from markup by Menubar.toJSON
+ */
+export interface MenuItemJSON extends MenuItemData {
+  /** The link target, null for controllers and placeholder links */
+  href: string | null
+  /** Depth of the list the item is in, 0 for the top level */
+  depth: number
+  /** Tag name of the controller element, null for links */
+  controller: string | null
+  /** Id of the controlled panel, null without a submenu */
+  panelId: string | null
+  /** Whether the submenu is a mega menu */
+  mega: boolean
+  /** The aria-current value of the item */
+  current: string | null
+  /** Whether the submenu is open */
+  expanded: boolean
+  /** Attributes of the link or controller, without the ones the library added */
+  attributes: Record<string, string>
+  /** Items of the submenu, only present for items with a submenu */
+  children?: MenuItemJSON[]
+}
+
+/**
+ * Options for Menubar.render
+ */
+export interface MenuRenderOptions extends MenuConfig {
+  /** Label of the generated mobile toggle button. Defaults to 'Menu'. */
+  mobileToggleLabel?: string
 }
 
 /**
@@ -48,11 +255,27 @@ export declare class Menubar {
    */
   constructor(config?: MenuConfig)
 
+  /**
+   * Render a menu from data into a container and initialize it
+   * Replaces the content of the container and adds a mobile toggle before it when none exists yet.
+   *
+   * @param container - The menu container, usually a nav element
+   * @param items - Tree of menu items
+   * @param options - Configuration options
+   * @returns Promise resolving to the initialized instance
+   */
+  static render<T extends Menubar>(
+    this: new (config?: MenuConfig) => T,
+    container: HTMLElement,
+    items: MenuItemData[],
+    options?: MenuRenderOptions,
+  ): Promise<T>
+
   /**
    * Initialize all menus on the page
    * Attaches ARIA controls, menu controls, and optionally mobile controls
    *
-   * @param context - The context to search for menus. Defaults to document.
+   * @param context - The context to search for menus, or a single menu container. Defaults to document.
    * @returns Promise that resolves when initialization is complete
    */
   init(context?: HTMLElement | Document): Promise<void>
@@ -90,9 +313,92 @@ export declare class Menubar {
    */
   attachMobileControls(context: HTMLElement | Document): Promise<void>
 
+  /**
+   * Open a submenu, along with the submenus it is nested in.
+   * On desktop, other open branches are closed first.
+   *
+   * @param controllerOrId - The controller element, its id, data-plugin-id or the id of the panel it controls
+   * @returns True if the submenu is open, false if it was not found or a `menu:beforeopen` listener vetoed it
+   */
+  open(controllerOrId: HTMLElement | string): boolean
+
+  /**
+   * Close a submenu
+   *
+   * @param controllerOrId - The controller element, its id, data-plugin-id or the id of the panel it controls
+   * @returns True if the submenu is closed
+   */
+  close(controllerOrId: HTMLElement | string): boolean
+
+  /**
+   * Open a closed submenu or close an open one
+   *
+   * @param controllerOrId - The controller element, its id, data-plugin-id or the id of the panel it controls
+   * @returns True if the requested state change happened
+   */
+  toggle(controllerOrId: HTMLElement | string): boolean
+
+  /**
+   * Mark the links pointing at the current page and the menu items and controllers leading to them
+   * The previous trail is cleared first, so this can be called after client-side navigation.
+   *
+   * @param menuContainer - The menu container. Defaults to all menus.
+   * @param location - The location to compare links with. Defaults to window.location.
+   * @returns The links marked as current
+   */
+  updateActiveTrail(menuContainer?: HTMLElement, location?: Location | URL): HTMLElement[]
+
+  /**
+   * Get the layout the menus are in
+   *
+   * @param menuContainer - Use the breakpoint of this initialized menu. Defaults to the configured breakpoint.
+   * @returns 'mobile' below the mobile breakpoint, 'desktop' otherwise
+   */
+  getMode(menuContainer?: HTMLElement): MenuMode
+
+  /**
+   * Close every open submenu
+   *
+   * @param menuContainer - Only close submenus within this container. Defaults to all menus.
+   */
+  closeAll(menuContainer?: HTMLElement): void
+
+  /**
+   * Open every submenu along a path of labels
+   *
+   * @param path - Labels from the top level down, e.g. `['Products', 'Software']`
+   * @param menuContainer - The menu container to search. Defaults to all menus.
+   * @returns The element for the last label, or null if the path was not found
+   */
+  openPath(path: string[], menuContainer?: HTMLElement): HTMLElement | null
+
+  /**
+   * Move focus to a menu item, opening the submenus it is nested in
+   *
+   * @param pathOrElement - The item element or a path of labels
+   * @param menuContainer - The menu container to search when a path is given
+   * @returns The focused element, or null if it was not found
+   */
+  focusItem(pathOrElement: HTMLElement | string[], menuContainer?: HTMLElement): HTMLElement | null
+
+  /**
+   * Update an initialized menu after items were added or removed
+   * Recomputes data-depth, wires up new controllers and links, tears down removed ones and refreshes cached item lists.
+   * @param menuContainer - The menu container
+   */
+  refresh(menuContainer: HTMLElement): void
+
+  /**
+   * Serialize a menu to a tree of menu items that can be passed back to render()
+   * @param menuContainer - The menu container. Without one, one tree per initialized menu is returned.
+   */
+  toJSON(menuContainer: HTMLElement): MenuItemJSON[]
+  toJSON(): MenuItemJSON[][]
+
   /**
    * Destroy a menu instance
-   * Cleans up event listeners and resources for a specific menu container
+   * Removes every event listener (including the mobile menu controller) and restores the
+   * attributes, classes and generated ids the library added to the menu container
    *
    * @param menuContainer - The menu container to destroy
    */
@@ -105,4 +411,76 @@ export declare class Menubar {
   destroyAll(): void
 }
 
+/**
+ * TreeMenu - Navigation tree following the WAI-ARIA treeview pattern
+ * Uses the same markup conventions as Menubar, exposed as role="tree" with roving tabindex.
+ * `menuSelector` defaults to `.c-tree-menu` and `hasMobile` to false.
+ *
+ * @example
+ * ```typescript
+ * const tree = new TreeMenu({ menuSelector: '.docs-nav' });
+ * await tree.init();
+ * ```
+ */
+export declare class TreeMenu extends Menubar {
+  /**
+   * Creates a new TreeMenu instance
+   * @param config - Optional configuration object, see MenuConfig
+   */
+  constructor(config?: MenuConfig)
+}
+
+/**
+ * DisclosureNav - Site navigation following the WAI-ARIA disclosure navigation pattern
+ * Uses the same markup as Menubar but only manages aria-expanded and aria-controls, keeping the natural Tab order.
+ * Panels close when focus leaves them, on Escape and on outside clicks.
+ *
+ * @example
+ * ```typescript
+ * const nav = new DisclosureNav({ arrowKeys: true });
+ * await nav.init();
+ * ```
+ */
+export declare class DisclosureNav extends Menubar {
+  /**
+   * Creates a new DisclosureNav instance
+   * @param config - Optional configuration object, see MenuConfig
+   */
+  constructor(config?: MenuConfig)
+}
+
+/**
+ * `<accessible-menubar>` - Initializes a Menubar for the menu markup it wraps while connected
+ * Options are read from attributes (`has-mobile`, `mobile-breakpoint`, `apply-roles`, ...) and the `config` property.
+ * Menus in the element's own shadow root, or in the shadow root the element is placed in, are supported.
+ *
+ * @example
+ * ```html
+ * <accessible-menubar apply-roles mobile-breakpoint="1024">
+ *   <nav class="c-menu">...</nav>
+ * </accessible-menubar>
+ * ```
+ */
+export declare class AccessibleMenubarElement extends HTMLElement {
+  /** The Menubar of the element, null while disconnected */
+  readonly menubar: Menubar | null
+  /** Resolves once the menus, including mobile controls, are initialized */
+  readonly ready: Promise<void>
+  /** The options passed to Menubar. Setting it re-initializes the menu, attributes take precedence. */
+  config: MenuConfig
+}
+
+/**
+ * Register the custom element under another tag name. `accessible-menubar` is registered on import.
+ * @param tagName - The tag name, defaults to 'accessible-menubar'
+ * @returns The registered class, undefined without custom element support
+ */
+export declare function defineAccessibleMenubar(tagName?: string): CustomElementConstructor | undefined
+
+declare global {
+  interface HTMLElementTagNameMap {
+    'accessible-menubar': AccessibleMenubarElement
+  }
+}
+
 export default Menubar
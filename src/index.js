@@ -5,6 +5,14 @@
 
 // Menu types
 export { Menubar } from './menus/Menubar.js'
+export { TreeMenu } from './menus/TreeMenu.js'
+export { DisclosureNav } from './menus/DisclosureNav.js'
+
+// Custom element, registered as <accessible-menubar> on import
+export { AccessibleMenubarElement, defineAccessibleMenubar } from './accessible-menubar.js'
 
 // Export all menus as a named export for convenience
 export * from './menus/Menubar.js'
+
+// Event names dispatched from menu containers
+export { MENU_EVENTS } from './menu-events.js'
@@ -0,0 +1,29 @@
+/**
+ * @file
+ * The media query that switches menus to their mobile layout
+ *
+ * `mobileMediaQuery` accepts any media query string, e.g. `(max-width: 48rem)` or
+ * `(hover: none), (pointer: coarse)`, a MediaQueryList, or a function receiving the menu
+ * container and returning either. Without it, `(max-width: {mobileBreakpoint}px)` is used.
+ * Every controller of a menu is handed the same MediaQueryList, so they always agree on the mode.
+ */
+
+/**
+ * Resolve the mobile media query of a menu
+ * @param {Object} config - Configuration options
+ * @param {string|MediaQueryList|Function|null} [config.mobileMediaQuery] - The query, or `(menuContainer, config) => query`
+ * @param {number} config.mobileBreakpoint - Breakpoint in pixels, used when no query is set
+ * @param {HTMLElement|null} [menuContainer=null] - The menu container
+ * @returns {MediaQueryList} - The media query list
+ */
+export function getMobileMediaQuery(config, menuContainer = null) {
+  let query = config.mobileMediaQuery
+  if (typeof query === 'function') {
+    query = query(menuContainer, config)
+  }
+
+  // An existing MediaQueryList, e.g. the one shared by the other controllers of the menu
+  if (query && typeof query === 'object') return query
+
+  return window.matchMedia(query || `(max-width: ${config.mobileBreakpoint}px)`)
+}
@@ -0,0 +1,160 @@
+/**
+ * @file
+ * Convert between menu markup and a tree of menu item objects
+ *
+ * Items have the shape `{ label, href, children, mega, attributes }`. The generated
+ * markup follows the same conventions Menubar enhances, using the configured class names:
+ * links for items with an href, buttons for items with children and a span controller
+ * followed by a mega menu wrapper for items flagged `mega`. Reading markup back returns
+ * the same shape plus the state of each item, so the two directions round-trip.
+ */
+
+import { AttributeSnapshot } from './attribute-snapshot.js'
+
+// Written separately from `attributes` when reading markup
+const STRUCTURAL_ATTRIBUTES = ['class', 'href']
+
+/**
+ * Create a menu list for a level of menu items
+ * @param {Object[]} items - The menu items of this level
+ * @param {Object} config - The menu configuration
+ * @param {Document} [ownerDocument=document] - The document to create elements in
+ * @returns {HTMLUListElement} - The menu list
+ */
+export function createMenuList(items, config, ownerDocument = document) {
+  const list = ownerDocument.createElement('ul')
+  list.className = 'menu'
+
+  items.forEach(item => list.append(createMenuItem(item, config, ownerDocument)))
+
+  return list
+}
+
+/**
+ * Create the list item, link or controller and submenu for a menu item
+ * @param {Object} item - The menu item
+ * @param {string} item.label - The visible label
+ * @param {string} [item.href] - The link target, items with children ignore it
+ * @param {Object[]} [item.children] - Items of the submenu
+ * @param {boolean} [item.mega] - Render the submenu as a mega menu with a span controller
+ * @param {Object} [item.attributes] - Extra attributes for the link or controller
+ * @param {Object} config - The menu configuration
+ * @param {Document} ownerDocument - The document to create elements in
+ * @returns {HTMLLIElement} - The menu item
+ */
+function createMenuItem(item, config, ownerDocument) {
+  const listItem = ownerDocument.createElement('li')
+  const hasChildren = Array.isArray(item.children) && item.children.length > 0
+  listItem.className = hasChildren ? `${config.itemClass} ${config.itemClass}--expanded` : config.itemClass
+
+  let link
+  if (hasChildren) {
+    link = ownerDocument.createElement(item.mega ? 'span' : 'button')
+    link.className = config.buttonClass
+    if (!item.mega) {
+      link.type = 'button'
+    }
+  } else {
+    // Items without an href stay placeholder links, a span would be taken for a controller
+    link = ownerDocument.createElement('a')
+    link.className = config.linkClass
+    if (item.href) {
+      link.setAttribute('href', item.href)
+    }
+  }
+
+  link.textContent = item.label
+  Object.entries(item.attributes || {}).forEach(([name, value]) => link.setAttribute(name, value))
+  listItem.append(link)
+
+  if (hasChildren) {
+    const submenu = createMenuList(item.children, config, ownerDocument)
+
+    if (item.mega) {
+      const wrapper = ownerDocument.createElement('div')
+      wrapper.className = config.megaMenuClass
+      wrapper.append(submenu)
+      listItem.append(wrapper)
+    } else {
+      listItem.append(submenu)
+    }
+  }
+
+  return listItem
+}
+
+/**
+ * Create the button that opens the menu on mobile
+ * @param {Object} config - The menu configuration
+ * @param {string} label - The visible label
+ * @param {Document} [ownerDocument=document] - The document to create elements in
+ * @returns {HTMLButtonElement} - The toggle button
+ */
+export function createMobileToggle(config, label, ownerDocument = document) {
+  const toggle = ownerDocument.createElement('button')
+  toggle.type = 'button'
+  toggle.id = config.mobileControlId
+  toggle.setAttribute('aria-expanded', 'false')
+  toggle.textContent = label
+
+  return toggle
+}
+
+/**
+ * Read a menu list back into a tree of menu item objects
+ * @param {HTMLElement} list - The menu list
+ * @param {Object} config - The menu configuration
+ * @param {AttributeSnapshot} [snapshot] - The snapshot of the menu, used to leave out attributes the library added
+ * @param {number} [depth=0] - The depth of the list
+ * @returns {Object[]} - The menu items of the list
+ */
+export function readMenuList(list, config, snapshot = new AttributeSnapshot(), depth = 0) {
+  return Array.from(list.children)
+    .filter(item => item.classList.contains(config.itemClass))
+    .map(item => readMenuItem(item, config, snapshot, depth))
+    .filter(Boolean)
+}
+
+/**
+ * Read a menu item, its state and its submenu
+ * @param {HTMLElement} listItem - The menu item
+ * @param {Object} config - The menu configuration
+ * @param {AttributeSnapshot} snapshot - The snapshot of the menu
+ * @param {number} depth - The depth of the item
+ * @returns {Object|null} - The menu item object, or null for items without a link or controller
+ */
+function readMenuItem(listItem, config, snapshot, depth) {
+  const link = Array.from(listItem.children).find(
+    child => child.classList.contains(config.linkClass) || child.classList.contains(config.buttonClass),
+  )
+  if (!link) return null
+
+  const tagName = link.tagName.toLowerCase()
+  const isController = config.controllerTags.includes(tagName)
+  const submenu = link.nextElementSibling
+  const attributes = snapshot.getOriginalAttributes(link)
+  STRUCTURAL_ATTRIBUTES.forEach(name => delete attributes[name])
+
+  const data = {
+    label: link.textContent.trim(),
+    href: link.getAttribute('href'),
+    depth,
+    controller: isController ? tagName : null,
+    panelId: submenu?.id || null,
+    mega: Boolean(submenu?.classList.contains(config.megaMenuClass)),
+    current: link.getAttribute('aria-current'),
+    expanded: link.getAttribute('aria-expanded') === 'true',
+    attributes,
+  }
+
+  if (submenu) {
+    // Mega menu wrappers may hold several lists, only the outermost ones belong to this level
+    const lists = submenu.matches('ul')
+      ? [submenu]
+      : Array.from(submenu.querySelectorAll('ul')).filter(ul => !submenu.contains(ul.parentElement.closest('ul')))
+
+    data.children = lists.flatMap(childList => readMenuList(childList, config, snapshot, depth + 1))
+  }
+
+  return data
+}
@@ -0,0 +1,97 @@
+/**
+ * @file
+ * Custom events dispatched by the accessible menu
+ *
+ * Every state change is announced from the menu container as a bubbling CustomEvent.
+ * The `before*` events are cancelable: calling `preventDefault()` on them vetoes the change.
+ */
+
+import { getElementById } from './root-node.js'
+
+/**
+ * Event names dispatched from the menu container
+ */
+export const MENU_EVENTS = {
+  beforeOpen: 'menu:beforeopen',
+  open: 'menu:open',
+  beforeClose: 'menu:beforeclose',
+  close: 'menu:close',
+  activate: 'menu:activate',
+  mobileBeforeOpen: 'mobile:beforeopen',
+  mobileOpen: 'mobile:open',
+  mobileBeforeClose: 'mobile:beforeclose',
+  mobileClose: 'mobile:close',
+  modeChange: 'menu:modechange',
+}
+
+/**
+ * Dispatch a menu event from the given target
+ * @param {HTMLElement} target - Element to dispatch the event from (usually the menu container)
+ * @param {string} type - The event name, see MENU_EVENTS
+ * @param {Object} detail - Event detail
+ * @param {boolean} [cancelable=false] - Whether the event can be cancelled with preventDefault
+ * @returns {boolean} - False if the event was cancelled, true otherwise
+ */
+export function dispatchMenuEvent(target, type, detail, cancelable = false) {
+  if (!target) return true
+
+  const event = new CustomEvent(type, {
+    bubbles: true,
+    cancelable,
+    detail,
+  })
+
+  return target.dispatchEvent(event)
+}
+
+/**
+ * Get the depth of the submenu a controller owns
+ * @param {HTMLElement} controller - The controller element
+ * @param {HTMLElement|null} submenu - The submenu controlled by the controller
+ * @returns {number} - The submenu depth, falling back to the controller's own depth + 1
+ */
+function getSubmenuDepth(controller, submenu) {
+  const submenuDepth = submenu?.getAttribute('data-depth')
+  if (submenuDepth) {
+    return parseInt(submenuDepth)
+  }
+
+  const parentMenu = controller.closest('[data-depth]')
+  return parentMenu ? parseInt(parentMenu.getAttribute('data-depth')) + 1 : 1
+}
+
+/**
+ * Expand or collapse a submenu controller, dispatching the before/after events
+ * @param {HTMLElement} controller - The controller element
+ * @param {boolean} expanded - The requested state
+ * @param {Object} options - Options
+ * @param {HTMLElement} options.menuContainer - The menu container to dispatch events from
+ * @param {string} [options.trigger='api'] - What caused the change (click, keyboard, outside-click, escape, breakpoint, api)
+ * @returns {boolean} - True if the controller ended up in the requested state
+ */
+export function setControllerExpanded(controller, expanded, { menuContainer, trigger = 'api' } = {}) {
+  if (!controller) return false
+
+  const isExpanded = controller.getAttribute('aria-expanded') === 'true'
+  if (isExpanded === expanded) return true
+
+  const controlsId = controller.getAttribute('data-menu-controls')
+  const submenu = getElementById(controller, controlsId)
+  const container = menuContainer || controller
+  const detail = {
+    controller,
+    submenu,
+    depth: getSubmenuDepth(controller, submenu),
+    trigger,
+  }
+
+  const beforeType = expanded ? MENU_EVENTS.beforeOpen : MENU_EVENTS.beforeClose
+  if (!dispatchMenuEvent(container, beforeType, detail, true)) {
+    return false
+  }
+
+  controller.setAttribute('aria-expanded', expanded ? 'true' : 'false')
+  dispatchMenuEvent(container, expanded ? MENU_EVENTS.open : MENU_EVENTS.close, detail)
+
+  return true
+}
@@ -0,0 +1,445 @@
+import { Menubar } from './Menubar.js'
+import { AttributeSnapshot } from '../attribute-snapshot.js'
+import { getMobileMediaQuery } from '../media-query.js'
+import { setControllerExpanded } from '../menu-events.js'
+import { getElementById, isEventInside } from '../root-node.js'
+import { isRightToLeft, mirrorArrowKey } from '../text-direction.js'
+
+/**
+ * Defaults that differ from the Menubar configuration
+ */
+const DISCLOSURE_DEFAULT_CONFIG = {
+  arrowKeys: false,
+}
+
+/**
+ * DisclosureNav - Site navigation following the WAI-ARIA disclosure navigation pattern
+ *
+ * Uses the same markup as Menubar, but controllers stay plain buttons that only manage
+ * aria-expanded and aria-controls. Tab moves through every link in document order and
+ * no menu roles are applied.
+ *
+ * @class DisclosureNav
+ */
+export class DisclosureNav extends Menubar {
+  /**
+   * Create a DisclosureNav instance
+   * @param {Object} config - Configuration options, see Menubar
+   * @param {boolean} config.arrowKeys - Move between top-level items and panel links with the arrow keys
+   */
+  constructor(config = {}) {
+    super({ ...DISCLOSURE_DEFAULT_CONFIG, ...config })
+  }
+
+  /**
+   * Disclosure buttons are not menu buttons, so no popup or name is added
+   */
+  setPopupAttributes() {}
+
+  /**
+   * Only buttons can be disclosure controllers
+   * @param {HTMLElement} element - The element to check
+   * @returns {boolean} - True if element is a button
+   */
+  isController(element) {
+    return element.tagName === 'BUTTON' && super.isController(element)
+  }
+
+  /**
+   * Warn about controllers other than buttons, like mega menu spans, that can't open their panel
+   * @param {HTMLElement[]} elements - Array of elements to attach controls to
+   */
+  attachControlsToElements(elements) {
+    elements.forEach(element => {
+      if (element.nextElementSibling && !this.isController(element) && super.isController(element)) {
+        console.warn(`DisclosureNav only supports button controllers, "${element.textContent.trim()}" is skipped`)
+      }
+    })
+
+    super.attachControlsToElements(elements)
+  }
+
+  /**
+   * Create the disclosure controller for a menu container
+   * @param {HTMLElement} menuContainer - The menu container
+   * @returns {DisclosureController} - The controller instance
+   */
+  createMenuController(menuContainer) {
+    return new DisclosureController(menuContainer, this.config, this.getSnapshot(menuContainer))
+  }
+}
+
+/**
+ * Disclosure Controller
+ * Creates a DisclosureButton for every button with a panel and closes panels when focus leaves them
+ */
+class DisclosureController {
+  /**
+   * Create a DisclosureController instance
+   * @param {HTMLElement} menuContainer - The menu container element
+   * @param {Object} config - Configuration options
+   * @param {AttributeSnapshot} [snapshot] - Records attribute changes so destroy can undo them
+   */
+  constructor(menuContainer, config, snapshot = new AttributeSnapshot()) {
+    this.menuContainer = menuContainer
+    this.config = config
+    this.snapshot = snapshot
+    this.mobileBreakpoint = this.config.mobileBreakpoint
+    this.mobileMediaQuery = getMobileMediaQuery(this.config, this.menuContainer)
+    // The breakpoint means nothing once a custom query decides the mode
+    if (!this.config.mobileMediaQuery) {
+      this.snapshot.set(this.menuContainer, 'data-breakpoint', this.mobileBreakpoint)
+    }
+    this.menuButtons = new Map()
+    this.mobileController = null
+
+    // Bind methods so the same references can be removed on destroy
+    this.onKeydown = this.onKeydown.bind(this)
+    this.onFocusout = this.onFocusout.bind(this)
+    this.onDocumentClick = this.onDocumentClick.bind(this)
+    this.onModeChange = this.onModeChange.bind(this)
+
+    this.initializeButtons()
+
+    this.menuContainer.addEventListener('keydown', this.onKeydown)
+    this.menuContainer.addEventListener('focusout', this.onFocusout)
+    document.addEventListener('click', this.onDocumentClick)
+    this.mobileMediaQuery.addEventListener?.('change', this.onModeChange)
+  }
+
+  /**
+   * Create a DisclosureButton for every button with a panel that does not have one yet
+   */
+  initializeButtons() {
+    this.menuContainer.querySelectorAll(`button.${this.config.buttonClass}[data-menu-controls]`).forEach(button => {
+      if (!this.menuButtons.has(button)) {
+        this.menuButtons.set(button, new DisclosureButton(button, this))
+      }
+    })
+  }
+
+  /**
+   * Pick up buttons and panels added to or removed from the navigation
+   */
+  refresh() {
+    this.menuButtons.forEach((button, element) => {
+      if (!this.menuContainer.contains(element)) {
+        button.destroy()
+        this.menuButtons.delete(element)
+      }
+    })
+
+    this.initializeButtons()
+    this.menuButtons.forEach(button => button.updatePanel())
+  }
+
+  /**
+   * Find the innermost open disclosure whose panel contains a node
+   * @param {HTMLElement} node - The node to start from
+   * @returns {DisclosureButton|null} - The owning disclosure or null
+   */
+  getOwningButton(node) {
+    let panel = node.parentElement?.closest('[id]')
+
+    while (panel && this.menuContainer.contains(panel)) {
+      const owner = [...this.menuButtons.values()].find(button => button.panel === panel)
+      if (owner && owner.isOpen()) return owner
+      panel = panel.parentElement?.closest('[id]')
+    }
+
+    return null
+  }
+
+  /**
+   * Get the links and buttons of the top-level list
+   * @returns {HTMLElement[]} - Top-level items in document order
+   */
+  getTopLevelItems() {
+    const topLevelMenu = this.menuContainer.querySelector('[data-depth="0"]')
+    if (!topLevelMenu) return []
+
+    return [...topLevelMenu.children]
+      .map(item => [...item.children].find(child => child.classList.contains(this.config.linkClass)))
+      .filter(Boolean)
+  }
+
+  /**
+   * Get the links and buttons of a panel that are not hidden inside a collapsed nested panel
+   * @param {DisclosureButton} owner - The disclosure that owns the panel
+   * @returns {HTMLElement[]} - Reachable panel items in document order
+   */
+  getPanelItems(owner) {
+    const collapsedPanels = [...this.menuButtons.values()]
+      .filter(button => button !== owner && !button.isOpen() && owner.panel.contains(button.panel))
+      .map(button => button.panel)
+
+    return [...owner.panel.querySelectorAll(`.${this.config.linkClass}`)].filter(
+      item => !collapsedPanels.some(panel => panel.contains(item)),
+    )
+  }
+
+  /**
+   * Handles keydown events within the navigation.
+   *
+   * @param {KeyboardEvent} event - The keydown event.
+   *
+   * - Escape: Closes the open panel of a focused button, or the panel focus is in and returns focus to its button.
+   *   An Escape that closed no panel is left to other handlers, like the mobile menu controller.
+   * - Arrow keys, Home and End: Handled by handleArrowKeys when `arrowKeys` is enabled.
+   */
+  onKeydown(event) {
+    if (event.ctrlKey || event.altKey || event.metaKey) return
+
+    let flag = false
+
+    if (event.key === 'Escape' || event.key === 'Esc') {
+      flag = this.handleEscape(event.target)
+    } else if (this.config.arrowKeys) {
+      flag = this.handleArrowKeys(event)
+    }
+
+    if (flag) {
+      event.stopPropagation()
+      event.preventDefault()
+    }
+  }
+
+  /**
+   * Close the panel related to the focused element
+   * @param {HTMLElement} target - The focused element
+   * @returns {boolean} - True if a panel was closed
+   */
+  handleEscape(target) {
+    const focusedButton = this.menuButtons.get(target)
+    if (focusedButton && focusedButton.isOpen()) {
+      return focusedButton.closePopup('escape')
+    }
+
+    const owner = this.getOwningButton(target)
+    if (!owner || !owner.closePopup('escape')) return false
+
+    owner.buttonNode.focus()
+    return true
+  }
+
+  /**
+   * Move focus with the arrow keys, Home and End
+   *
+   * On the top level, Left/Right and Up/Down move between items and Down enters an open panel.
+   * Inside a panel, Up/Down move between its links. Left and Right are mirrored in right-to-left layouts.
+   *
+   * @param {KeyboardEvent} event - The keydown event
+   * @returns {boolean} - True if focus moved
+   */
+  handleArrowKeys(event) {
+    const target = event.target
+    const topLevelItems = this.getTopLevelItems()
+    const owner = topLevelItems.includes(target) ? null : this.getOwningButton(target)
+    const items = owner ? this.getPanelItems(owner) : topLevelItems
+    const index = items.indexOf(target)
+    if (index === -1) return false
+
+    const targetButton = this.menuButtons.get(target)
+    const rtl = isRightToLeft(this.menuContainer, this.config.direction)
+    let next = null
+
+    switch (rtl ? mirrorArrowKey(event.key) : event.key) {
+      case 'Down':
+      case 'ArrowDown':
+        next = !owner && targetButton?.isOpen() ? this.getPanelItems(targetButton)[0] : items[index + 1]
+        break
+      case 'Up':
+      case 'ArrowUp':
+        next = items[index - 1]
+        break
+      case 'Right':
+      case 'ArrowRight':
+        next = owner ? null : items[index + 1]
+        break
+      case 'Left':
+      case 'ArrowLeft':
+        next = owner ? null : items[index - 1]
+        break
+      case 'Home':
+        next = items[0]
+        break
+      case 'End':
+        next = items[items.length - 1]
+        break
+    }
+
+    if (!next) return false
+
+    next.focus()
+    return true
+  }
+
+  /**
+   * Close open panels that focus moved out of
+   * @param {FocusEvent} event - The focusout event
+   */
+  onFocusout(event) {
+    const nextFocus = event.relatedTarget
+
+    // Focus leaving the window or going to a non-focusable area is handled by the click listener
+    if (!nextFocus) return
+
+    this.menuButtons.forEach(button => {
+      if (button.isOpen() && !button.contains(nextFocus)) {
+        button.closePopup('focusout')
+      }
+    })
+  }
+
+  /**
+   * Close every open panel when clicking outside the navigation
+   * @param {MouseEvent} event - The click event
+   */
+  onDocumentClick(event) {
+    if (isEventInside(event, this.menuContainer)) return
+
+    this.menuButtons.forEach(button => {
+      if (button.isOpen()) {
+        button.closePopup('outside-click')
+      }
+    })
+  }
+
+  /**
+   * Close the mobile menu when the viewport crosses the breakpoint
+   */
+  onModeChange() {
+    this.mobileController?.onModeChange()
+  }
+
+  /**
+   * Destroy the disclosure controller and clean up
+   */
+  destroy() {
+    this.menuButtons.forEach(button => button.destroy())
+    this.menuButtons.clear()
+    this.menuContainer.removeEventListener('keydown', this.onKeydown)
+    this.menuContainer.removeEventListener('focusout', this.onFocusout)
+    document.removeEventListener('click', this.onDocumentClick)
+    this.mobileMediaQuery.removeEventListener?.('change', this.onModeChange)
+
+    if (this.mobileController) {
+      this.mobileController.destroy()
+      this.mobileController = null
+    }
+  }
+}
+
+/**
+ * A button that shows and hides the panel after it
+ * Exposes the same open/close interface as MenuButton so Menubar's programmatic API works for disclosures.
+ */
+class DisclosureButton {
+  /**
+   * Create a DisclosureButton instance
+   * @param {HTMLElement} buttonNode - The disclosure button
+   * @param {DisclosureController} disclosureController - The disclosure controller
+   */
+  constructor(buttonNode, disclosureController) {
+    this.buttonNode = buttonNode
+    this.disclosureController = disclosureController
+    this.config = disclosureController.config
+    this.mobileMediaQuery = disclosureController.mobileMediaQuery
+    this.updatePanel()
+
+    disclosureController.snapshot.set(buttonNode, 'aria-expanded', 'false')
+    disclosureController.snapshot.addClass(buttonNode, this.config.controllerClass)
+
+    this.onClick = this.onClick.bind(this)
+    this.buttonNode.addEventListener('click', this.onClick)
+  }
+
+  /**
+   * Look up the panel the button controls
+   */
+  updatePanel() {
+    this.panel = getElementById(this.buttonNode, this.buttonNode.getAttribute('data-menu-controls'))
+  }
+
+  /**
+   * Remove the click listener
+   */
+  destroy() {
+    this.buttonNode.removeEventListener('click', this.onClick)
+  }
+
+  /**
+   * Check if a node is the button or inside its panel
+   * @param {Node} node - The node to check
+   * @returns {boolean} - True if the node belongs to this disclosure
+   */
+  contains(node) {
+    return this.buttonNode === node || Boolean(this.panel?.contains(node))
+  }
+
+  /**
+   * Toggles the panel and closes other panels on the same level.
+   *
+   * @param {MouseEvent} event - The click event.
+   */
+  onClick(event) {
+    const trigger = event.detail === 0 ? 'keyboard' : 'click'
+
+    if (this.isOpen()) {
+      this.closePopup(trigger)
+    } else if (this.openPopup(trigger)) {
+      this.closeAll(trigger)
+    }
+
+    event.preventDefault()
+  }
+
+  /**
+   * Checks if the panel is shown.
+   * @returns {boolean} - True if expanded
+   */
+  isOpen() {
+    return this.buttonNode.getAttribute('aria-expanded') === 'true'
+  }
+
+  /**
+   * Shows the panel.
+   * @param {string} [trigger='api'] - What caused the change
+   * @returns {boolean} - False if a `menu:beforeopen` listener vetoed the change
+   */
+  openPopup(trigger = 'api') {
+    return setControllerExpanded(this.buttonNode, true, {
+      menuContainer: this.disclosureController.menuContainer,
+      trigger,
+    })
+  }
+
+  /**
+   * Hides the panel.
+   * @param {string} [trigger='api'] - What caused the change
+   * @returns {boolean} - False if a `menu:beforeclose` listener vetoed the change
+   */
+  closePopup(trigger = 'api') {
+    return setControllerExpanded(this.buttonNode, false, {
+      menuContainer: this.disclosureController.menuContainer,
+      trigger,
+    })
+  }
+
+  /**
+   * Hides the panels of other buttons in the same list.
+   * @param {string} [trigger='api'] - What caused the change
+   */
+  closeAll(trigger = 'api') {
+    const list = this.buttonNode.closest(`.${this.config.itemClass}`)?.parentElement
+
+    this.disclosureController.menuButtons.forEach(button => {
+      const sameList = button.buttonNode.closest(`.${this.config.itemClass}`)?.parentElement === list
+      if (button !== this && sameList && button.isOpen()) {
+        button.closePopup(trigger)
+      }
+    })
+  }
+}
+
+export default DisclosureNav
@@ -1,12 +1,26 @@
+import { findActiveLinks } from '../active-trail.js'
+import { Announcer } from '../announcer.js'
+import { AttributeSnapshot } from '../attribute-snapshot.js'
+import { createMenuList, createMobileToggle, readMenuList } from '../menu-data.js'
+import { createMenuId, getMenuPath, getTakenIds, getUniqueId } from '../id-generator.js'
+import { getMobileMediaQuery } from '../media-query.js'
+import { MENU_EVENTS, dispatchMenuEvent, setControllerExpanded } from '../menu-events.js'
+import { getElementById, getRoot, isEventInside, querySelectorInRoot } from '../root-node.js'
+import { isRightToLeft, mirrorArrowKey } from '../text-direction.js'
+import { findTypeAheadMatch, isPrintableCharacter } from '../type-ahead.js'
+
 /**
  * Simple once utility to ensure initialization happens only once per element
  * @param {string} id - Unique identifier for the initialization
  * @param {string} selector - CSS selector for elements to initialize
- * @param {HTMLElement|Document} context - Context to search within
+ * @param {HTMLElement|Document} context - Context to search within, included itself when it matches
  * @returns {HTMLElement[]} - Array of elements that haven't been initialized yet
  */
 function once(id, selector, context = document) {
   const elements = Array.from(context.querySelectorAll(selector))
+  if (context.matches?.(selector)) {
+    elements.unshift(context)
+  }
   const dataAttribute = `data-once-${id}`
 
   return elements.filter(element => {
@@ -18,6 +32,51 @@ function once(id, selector, context = document) {
   })
 }
 
+/**
+ * Remove the markers left by once() so a container can be initialized again
+ * @param {HTMLElement} element - The element to reset
+ */
+function resetOnce(element) {
+  Array.from(element.attributes)
+    .filter(attribute => attribute.name.startsWith('data-once-'))
+    .forEach(attribute => element.removeAttribute(attribute.name))
+}
+
+/**
+ * Find the submenu panel containing a node and the controller that owns it
+ * @param {HTMLElement} node - The node to start from
+ * @param {HTMLElement} menuContainer - The menu container
+ * @returns {{controller: HTMLElement|null, submenu: HTMLElement|null}} - The owning controller and submenu panel
+ */
+function findOwningMenu(node, menuContainer) {
+  let submenu = node.parentElement?.closest('[id]')
+
+  while (submenu && menuContainer?.contains(submenu) && submenu !== menuContainer) {
+    const controller = menuContainer.querySelector(`[data-menu-controls="${submenu.id}"]`)
+    if (controller && controller !== node) {
+      return { controller, submenu }
+    }
+    submenu = submenu.parentElement?.closest('[id]')
+  }
+
+  return { controller: null, submenu: null }
+}
+
+/**
+ * Keys of a vertical menubar mapped to the horizontal keys that have the same meaning
+ * Up/Down move between top-level items, Right opens a flyout and Left has no top-level action.
+ */
+const VERTICAL_TOP_LEVEL_KEYS = {
+  Up: 'Left',
+  ArrowUp: 'ArrowLeft',
+  Down: 'Right',
+  ArrowDown: 'ArrowRight',
+  Right: 'Down',
+  ArrowRight: 'ArrowDown',
+  Left: '',
+  ArrowLeft: '',
+}
+
 /**
  * Default configuration for the accessible menu
  */
@@ -33,6 +92,26 @@ const DEFAULT_CONFIG = {
   mobileControlId: 'nav-toggle',
   hasMobile: true,
   dataPluginIdAttribute: 'data-plugin-id',
+  typeAhead: true,
+  typeAheadTimeout: 500,
+  pageStep: null,
+  strictApg: false,
+  orientation: 'horizontal',
+  direction: 'auto',
+  observe: false,
+  idGenerator: null,
+  applyRoles: false,
+  announce: false,
+  messages: {},
+  activeTrail: null,
+  activeTrailClass: 'is-active-trail',
+  expandActiveTrail: false,
+  trapFocus: false,
+  inertContent: false,
+  lockScroll: false,
+  mobileMode: 'inline',
+  drawerPlacement: 'left',
+  mobileMediaQuery: null,
 }
 
 /**
@@ -52,17 +131,95 @@ export class Menubar {
    * @param {string[]} config.controllerTags - Array of HTML tag names that can act as menu controllers
    * @param {string} config.controllerClass - CSS class added to controller elements
    * @param {number} config.mobileBreakpoint - Mobile breakpoint in pixels
-   * @param {string} config.mobileControlId - ID of the mobile menu control button
+   * @param {string|MediaQueryList|Function|null} config.mobileMediaQuery - Media query for the mobile layout, or `(menuContainer, config) => query`. Overrides mobileBreakpoint.
+   * @param {string} config.mobileControlId - ID of the mobile menu control button, used by containers with an empty `data-mobile` attribute
    * @param {boolean} config.hasMobile - Boolean for if mobile menus should be initialized
+   * @param {boolean} config.typeAhead - Move focus to the next item starting with the typed characters
+   * @param {number} config.typeAheadTimeout - Milliseconds before typed characters reset
+   * @param {number|null} config.pageStep - Number of items PageUp/PageDown jump, null to leave the keys alone
+   * @param {boolean} config.strictApg - Follow the WAI-ARIA menubar pattern exactly for Enter, Space, ArrowUp and Escape
+   * @param {string} config.orientation - 'horizontal' or 'vertical' top-level layout. `aria-orientation` on the top-level ul takes precedence.
+   * @param {string} config.direction - 'ltr' or 'rtl' to set the text direction, 'auto' to detect it from the menu container
+   * @param {boolean} config.observe - Watch menu containers and refresh them when items are added or removed
+   * @param {Function|null} config.idGenerator - Custom `(element, context) => id` for controllers without an id
+   * @param {boolean} config.applyRoles - Apply menubar, menu, menuitem and none roles with a roving tabindex on the top level
+   * @param {boolean} config.announce - Announce opened submenus and mobile menus in a polite live region
+   * @param {Object} config.messages - Announcement templates or functions overriding the defaults, see DEFAULT_MESSAGES
+   * @param {string|Function|null} config.activeTrail - 'exact', 'prefix' or a `(url, link, location) => boolean` function to mark the current page
+   * @param {string} config.activeTrailClass - CSS class added to the menu items and controllers leading to the current page
+   * @param {boolean} config.expandActiveTrail - Expand the controllers of the active trail when the mobile menu opens
+   * @param {boolean} config.trapFocus - Keep Tab within the toggle and the open mobile menu, Escape closes it from any depth
+   * @param {boolean} config.inertContent - Make the page outside the open mobile menu and its toggle inert
+   * @param {boolean} config.lockScroll - Lock body scroll while the mobile menu is open, compensating the scrollbar width
+   * @param {string} config.mobileMode - 'inline' to expand mobile submenus in place, 'drilldown' to show one submenu panel at a time,
+   *   'drawer' to open the mobile menu as an off-canvas dialog
+   * @param {string} config.drawerPlacement - 'left', 'right' or 'top' edge the drawer slides in from
    */
   constructor(config = {}) {
     this.config = { ...DEFAULT_CONFIG, ...config }
     this.menuInstances = new Map()
+    this.snapshots = new Map()
+    this.observers = new Map()
+    this.activeTrails = new Map()
+    this.announcer = this.config.announce ? new Announcer(this.config.messages) : null
+  }
+
+  /**
+   * Render a menu from data and initialize it
+   *
+   * Generates the list, link, controller and mega menu markup with the configured class names,
+   * replacing the content of the container. When mobile menus are enabled the container opts in with
+   * `data-mobile`, and if no element with `mobileControlId` exists yet, a toggle button is inserted
+   * right before the container.
+   *
+   * @param {HTMLElement} container - The menu container, usually a nav element
+   * @param {Object[]} items - Tree of `{label, href, children, mega, attributes}` objects
+   * @param {Object} [options] - Configuration options, plus `mobileToggleLabel` for the generated toggle
+   * @returns {Promise<Menubar>} - The initialized instance
+   */
+  static async render(container, items, options = {}) {
+    const { mobileToggleLabel = 'Menu', ...config } = options
+    const menubar = new this(config)
+    const { menuSelector, hasMobile, mobileControlId } = menubar.config
+
+    // Simple class selectors are added to the container so it is picked up by init
+    if (!container.matches(menuSelector) && /^\.[\w-]+$/.test(menuSelector)) {
+      container.classList.add(menuSelector.slice(1))
+    }
+
+    container.replaceChildren(createMenuList(items, menubar.config, container.ownerDocument))
+
+    if (hasMobile && mobileControlId) {
+      if (!getElementById(container, mobileControlId)) {
+        container.before(createMobileToggle(menubar.config, mobileToggleLabel, container.ownerDocument))
+      }
+      // Mobile menus are opt-in, rendered menus opt in to the mobileControlId toggle
+      if (!container.hasAttribute('data-mobile') && !container.hasAttribute('data-mobile-toggle')) {
+        container.setAttribute('data-mobile', '')
+      }
+    }
+
+    await menubar.init(container)
+    return menubar
+  }
+
+  /**
+   * Get the attribute snapshot for a menu container, creating it if needed
+   * Every attribute the library adds is recorded here so destroy can restore the original markup.
+   * @param {HTMLElement|null} menuContainer - The menu container
+   * @returns {AttributeSnapshot} - The snapshot for the container
+   */
+  getSnapshot(menuContainer) {
+    const key = menuContainer || document
+    if (!this.snapshots.has(key)) {
+      this.snapshots.set(key, new AttributeSnapshot())
+    }
+    return this.snapshots.get(key)
   }
 
   /**
    * Initialize all menus on the page
-   * @param {HTMLElement|Document} context - The context to search for menus
+   * @param {HTMLElement|Document} context - The context to search for menus, or a single menu container
    */
   async init(context = document) {
     this.attachAriaControls(context)
@@ -85,17 +242,84 @@ export class Menubar {
       // Set depth attributes for all menu levels
       this.setMenuDepthAttributes(menu)
 
-      // Find all controller elements (buttons, spans, etc.)
-      const controllerSelectors = this.config.controllerTags
-        .map(tag => `:scope ${tag}.${this.config.buttonClass}`)
-        .join(', ')
-      const controllers = menu.querySelectorAll(controllerSelectors)
-
       // Attach controls to all controller elements
-      this.attachControlsToElements([...controllers])
+      this.attachControlsToElements(this.getControllerElements(menu))
+
+      if (this.config.activeTrail) {
+        this.updateActiveTrail(menu)
+      }
     })
   }
 
+  /**
+   * Mark the links pointing at the current page and the items leading to them
+   * Matching links get `aria-current="page"`, their menu items and every ancestor menu item and controller
+   * get `activeTrailClass`. Call it again after client-side navigation, the previous trail is cleared first.
+   * @param {HTMLElement} [menuContainer] - The menu container. Defaults to all menus.
+   * @param {Location|URL} [location=window.location] - The location to compare the links with
+   * @returns {HTMLElement[]} - The links marked as current
+   */
+  updateActiveTrail(menuContainer, location = window.location) {
+    const { linkClass, itemClass, activeTrailClass, activeTrail } = this.config
+    const containers = menuContainer ? [menuContainer] : [...this.menuInstances.keys()]
+
+    return containers.flatMap(container => {
+      this.clearActiveTrail(container)
+
+      const snapshot = this.getSnapshot(container)
+      const links = findActiveLinks(
+        [...container.querySelectorAll(`a.${linkClass}[href]`)],
+        activeTrail || 'exact',
+        location,
+      )
+      const marked = { links: [], trail: new Set() }
+
+      links.forEach(link => {
+        if (!link.hasAttribute('aria-current')) {
+          snapshot.set(link, 'aria-current', 'page')
+          marked.links.push(link)
+        }
+
+        let item = link.closest(`.${itemClass}`)
+        while (item && container.contains(item)) {
+          marked.trail.add(item)
+          item = item.parentElement.closest(`.${itemClass}`)
+        }
+        this.getAncestorControllers(link).forEach(controller => marked.trail.add(controller))
+      })
+
+      marked.trail.forEach(element => snapshot.addClass(element, activeTrailClass))
+      this.activeTrails.set(container, marked)
+      return links
+    })
+  }
+
+  /**
+   * Remove the marks of the previous active trail
+   * @param {HTMLElement} menuContainer - The menu container
+   */
+  clearActiveTrail(menuContainer) {
+    const marked = this.activeTrails.get(menuContainer)
+    if (!marked) return
+
+    marked.links.forEach(link => link.removeAttribute('aria-current'))
+    marked.trail.forEach(element => element.classList.remove(this.config.activeTrailClass))
+    this.activeTrails.delete(menuContainer)
+  }
+
+  /**
+   * Find all controller elements (buttons, spans, etc.) of a menu
+   * @param {HTMLElement} menuContainer - The menu container
+   * @returns {HTMLElement[]} - The controller elements
+   */
+  getControllerElements(menuContainer) {
+    const controllerSelectors = this.config.controllerTags
+      .map(tag => `:scope ${tag}.${this.config.buttonClass}`)
+      .join(', ')
+
+    return [...menuContainer.querySelectorAll(controllerSelectors)]
+  }
+
   /**
    * Set depth attributes for all menu levels
    * @param {HTMLElement} menuContainer - The main menu container
@@ -116,10 +340,12 @@ export class Menubar {
    */
   setDepthRecursively(menuElement, depth) {
     // Set the data-depth attribute on the current menu level
-    menuElement.setAttribute('data-depth', depth.toString())
+    this.getSnapshot(menuElement.closest(this.config.menuSelector)).set(menuElement, 'data-depth', depth.toString())
 
     // Find all submenu ul elements that are direct children of menu items
-    const submenus = menuElement.querySelectorAll(':scope > .menu__item > .menu, :scope > .menu__item > ul')
+    const submenus = [...menuElement.children]
+      .filter(item => item.classList.contains(this.config.itemClass))
+      .flatMap(item => [...item.children].filter(child => child.matches('.menu, ul')))
 
     // Recursively set depth for each submenu
     submenus.forEach(submenu => {
@@ -141,41 +367,97 @@ export class Menubar {
    * @param {HTMLElement[]} elements - Array of elements to attach controls to
    */
   attachControlsToElements(elements) {
+    // The ids in use are collected once per root node, generated ids are added as they are handed out
+    const takenIds = new Map()
+    const getTaken = element => {
+      const root = element.getRootNode()
+      if (!takenIds.has(root)) {
+        takenIds.set(root, getTakenIds(root, this.config.dataPluginIdAttribute))
+      }
+      return takenIds.get(root)
+    }
+
     elements.forEach(element => {
+      const menuContainer = element.closest(this.config.menuSelector)
+      const snapshot = this.getSnapshot(menuContainer)
       let id = element.getAttribute(this.config.dataPluginIdAttribute)
 
-      // Generate unique ID if not present for controls
+      // Reuse the element id, or generate a stable one from the menu path
       if (!id) {
-        const random = Math.floor(Math.random() * 10000)
-        id = `menu-${random}`
-        element.setAttribute(this.config.dataPluginIdAttribute, id)
+        id = element.id || this.generateId(element, menuContainer, getTaken(element))
+        snapshot.set(element, this.config.dataPluginIdAttribute, id)
       }
 
       const submenu = element.nextElementSibling
+      const submenuId = submenu ? this.getPanelId(submenu, id, snapshot, getTaken(submenu)) : null
 
       if (this.isController(element)) {
-        element.setAttribute('aria-haspopup', 'true')
+        this.setPopupAttributes(element, submenu, snapshot)
         if (submenu) {
-          const submenuId = `panel-${id}`
-          submenu.setAttribute('id', submenuId)
-          element.setAttribute('aria-controls', submenuId)
-          element.setAttribute('data-menu-controls', submenuId)
-          element.setAttribute('aria-label', element.textContent.trim())
+          snapshot.set(element, 'aria-controls', submenuId)
+          snapshot.set(element, 'data-menu-controls', submenuId)
         }
       } else if (submenu) {
-        const submenuId = `panel-${id}`
-        submenu.setAttribute('id', submenuId)
-        element.setAttribute('data-menu-controls', submenuId)
+        snapshot.set(element, 'data-menu-controls', submenuId)
 
         // If nested under mega menu also apply data-menu-controls to ul
         const nestedMenu = submenu.querySelector('.menu')
         if (nestedMenu) {
-          nestedMenu.setAttribute('data-menu-controls', submenuId)
+          snapshot.set(nestedMenu, 'data-menu-controls', submenuId)
         }
       }
     })
   }
 
+  /**
+   * Generate a stable id for a controller
+   * Uses `config.idGenerator` when set, otherwise the container id and the label path. Taken ids get a numeric suffix.
+   * @param {HTMLElement} element - The controller element
+   * @param {HTMLElement} menuContainer - The menu container
+   * @param {Set<string>} taken - The ids in use, the generated id is added to it
+   * @returns {string} - An id that is unique in the document
+   */
+  generateId(element, menuContainer, taken) {
+    const context = {
+      menuContainer,
+      path: getMenuPath(element, menuContainer, this.config),
+      config: this.config,
+    }
+    const id = this.config.idGenerator ? this.config.idGenerator(element, context) : createMenuId(context)
+
+    return getUniqueId(String(id), taken)
+  }
+
+  /**
+   * Get the id of a submenu panel, giving it one derived from its controller if it has none
+   * @param {HTMLElement} submenu - The submenu panel
+   * @param {string} id - The id of the controller
+   * @param {AttributeSnapshot} snapshot - The snapshot recording the change
+   * @param {Set<string>} taken - The ids in use, the panel id is added to it
+   * @returns {string} - The panel id
+   */
+  getPanelId(submenu, id, snapshot, taken) {
+    if (submenu.id) return submenu.id
+
+    const submenuId = getUniqueId(`panel-${id}`, taken)
+    snapshot.set(submenu, 'id', submenuId)
+    return submenuId
+  }
+
+  /**
+   * Describe a controller as opening a popup menu
+   * Patterns that are not menus override this to leave the controller's role and name alone.
+   * @param {HTMLElement} element - The controller element
+   * @param {HTMLElement|null} submenu - The submenu the controller opens
+   * @param {AttributeSnapshot} snapshot - The snapshot recording the change
+   */
+  setPopupAttributes(element, submenu, snapshot) {
+    snapshot.set(element, 'aria-haspopup', 'true')
+    if (submenu) {
+      snapshot.set(element, 'aria-label', element.textContent.trim())
+    }
+  }
+
   /**
    * Attach menu controls for keyboard navigation
    * @param {HTMLElement|Document} context - The context to search for menus
@@ -184,45 +466,370 @@ export class Menubar {
     const menus = once('menuControl', this.config.menuSelector, context)
 
     menus.forEach(menuContainer => {
-      const menuInstance = new MenuController(menuContainer, this.config)
+      const menuInstance = this.createMenuController(menuContainer)
       this.menuInstances.set(menuContainer, menuInstance)
+
+      if (this.config.observe) {
+        this.observe(menuContainer)
+      }
     })
   }
 
+  /**
+   * Refresh a menu container whenever elements are added to or removed from it
+   * @param {HTMLElement} menuContainer - The menu container to watch
+   */
+  observe(menuContainer) {
+    if (this.observers.has(menuContainer) || typeof MutationObserver === 'undefined') return
+
+    const observer = new MutationObserver(mutations => {
+      const changed = mutations.some(mutation =>
+        [...mutation.addedNodes, ...mutation.removedNodes].some(node => node.nodeType === Node.ELEMENT_NODE),
+      )
+      if (changed) {
+        this.refresh(menuContainer)
+      }
+    })
+
+    observer.observe(menuContainer, { childList: true, subtree: true })
+    this.observers.set(menuContainer, observer)
+  }
+
+  /**
+   * Update an initialized menu after items were added or removed
+   * Recomputes data-depth, wires up new controllers with ids and aria-controls, tears down removed
+   * items and refreshes the item lists every item navigates between.
+   * @param {HTMLElement} menuContainer - The menu container
+   */
+  refresh(menuContainer) {
+    const instance = this.menuInstances.get(menuContainer)
+    if (!instance) return
+
+    this.setMenuDepthAttributes(menuContainer)
+    this.attachControlsToElements(this.getControllerElements(menuContainer))
+    instance.refresh()
+
+    if (this.config.activeTrail) {
+      this.updateActiveTrail(menuContainer)
+    }
+  }
+
+  /**
+   * Create the controller that handles keyboard navigation for a menu container
+   * Other menu patterns extend Menubar and override this to provide their own controller.
+   * @param {HTMLElement} menuContainer - The menu container
+   * @returns {MenuController} - The controller instance
+   */
+  createMenuController(menuContainer) {
+    return new MenuController(menuContainer, this.config, this.getSnapshot(menuContainer), this.announcer)
+  }
+
   /**
    * Attach mobile menu controls
    * @param {HTMLElement|Document} context - The context to search for menus
    */
   async attachMobileControls(context) {
-    const { menuSelector, hasMobile, mobileControlId } = this.config
+    const { menuSelector, hasMobile } = this.config
 
-    // If no menus and no control ID, nothing to do
-    if (!mobileControlId) return
-
-    // Find menus with an existing data-mobile attribute
+    // Menus opt in and find their own toggle, through data-mobile-toggle, data-mobile or aria-controls
     const menus = once('mobileMenuControls', `${menuSelector}`, context)
 
-    // If we already have menus with data-mobile, use them
     if (hasMobile) {
       return this.initializeMobileMenus(menus)
     }
   }
 
+  /**
+   * Create a MobileMenuController for each menu and keep it with the menu instance
+   * @param {HTMLElement[]} menus - The menu containers
+   */
   async initializeMobileMenus(menus) {
+    // Remember the instance of each menu, a menu destroyed and initialized again has a new one
+    const pending = menus.map(menu => [menu, this.menuInstances.get(menu)])
     const { MobileMenuController } = await import('../mobile-menu-controller.js')
-    menus.forEach(menu => new MobileMenuController(menu, this.config))
+
+    pending.forEach(([menu, instance]) => {
+      // The menu may have been destroyed, or destroyed and initialized again, while the controller was loading
+      if (!menu.hasAttribute('data-once-mobileMenuControls') || this.menuInstances.get(menu) !== instance) return
+
+      const config = instance?.mobileMediaQuery
+        ? { ...this.config, mobileMediaQuery: instance.mobileMediaQuery }
+        : this.config
+      const mobileController = new MobileMenuController(menu, config, this.getSnapshot(menu), this.announcer)
+      if (instance) {
+        instance.mobileController = mobileController
+      }
+    })
+  }
+
+  /**
+   * Find the MenuButton instance for a controller
+   * @param {HTMLElement|string} controllerOrId - The controller element, its id, data-plugin-id or controlled panel id
+   * @returns {MenuButton|null} - The MenuButton instance or null if not found
+   */
+  getMenuButton(controllerOrId) {
+    let controller = controllerOrId
+
+    if (typeof controllerOrId === 'string') {
+      // Menus may live in the document or in shadow roots
+      const roots = new Set([...this.menuInstances.keys()].map(container => getRoot(container)))
+
+      for (const root of roots) {
+        controller =
+          root.getElementById(controllerOrId) ||
+          root.querySelector(`[${this.config.dataPluginIdAttribute}="${controllerOrId}"]`)
+
+        // A panel id resolves to the controller that owns the panel
+        if (controller && !this.isController(controller)) {
+          controller = root.querySelector(`[data-menu-controls="${controllerOrId}"]`)
+        }
+        if (controller) break
+      }
+    }
+
+    if (!controller) return null
+
+    for (const instance of this.menuInstances.values()) {
+      const menuButton = instance.menuButtons.get(controller)
+      if (menuButton) return menuButton
+    }
+
+    return null
+  }
+
+  /**
+   * Get the controllers that own the panels an element is nested in, outermost first
+   * @param {HTMLElement} element - The element to start from
+   * @returns {HTMLElement[]} - Array of ancestor controllers
+   */
+  getAncestorControllers(element) {
+    const menuContainer = element.closest(this.config.menuSelector)
+    const controllers = []
+
+    let { controller } = findOwningMenu(element, menuContainer)
+    while (controller) {
+      controllers.unshift(controller)
+      controller = findOwningMenu(controller, menuContainer).controller
+    }
+
+    return controllers
+  }
+
+  /**
+   * Open a submenu programmatically
+   * Ancestor submenus are opened as well. On desktop, other open branches are closed first.
+   * @param {HTMLElement|string} controllerOrId - The controller element, its id, data-plugin-id or controlled panel id
+   * @returns {boolean} - True if the submenu is open
+   */
+  open(controllerOrId) {
+    const menuButton = this.getMenuButton(controllerOrId)
+    if (!menuButton) return false
+
+    const controllers = [...this.getAncestorControllers(menuButton.buttonNode), menuButton.buttonNode]
+
+    return controllers.every(controller => {
+      const button = this.getMenuButton(controller)
+      if (button.isOpen()) return true
+
+      if (!button.mobileMediaQuery.matches) {
+        button.closeAll('api')
+      }
+      return button.openPopup('api')
+    })
+  }
+
+  /**
+   * Close a submenu programmatically
+   * @param {HTMLElement|string} controllerOrId - The controller element, its id, data-plugin-id or controlled panel id
+   * @returns {boolean} - True if the submenu is closed
+   */
+  close(controllerOrId) {
+    const menuButton = this.getMenuButton(controllerOrId)
+    if (!menuButton) return false
+
+    return menuButton.closePopup('api')
+  }
+
+  /**
+   * Toggle a submenu programmatically
+   * @param {HTMLElement|string} controllerOrId - The controller element, its id, data-plugin-id or controlled panel id
+   * @returns {boolean} - True if the requested state change happened
+   */
+  toggle(controllerOrId) {
+    const menuButton = this.getMenuButton(controllerOrId)
+    if (!menuButton) return false
+
+    return menuButton.isOpen() ? this.close(menuButton.buttonNode) : this.open(menuButton.buttonNode)
+  }
+
+  /**
+   * Get the layout the menus are in
+   * @param {HTMLElement} [menuContainer] - A menu container. Defaults to the configured breakpoint.
+   * @returns {string} - 'mobile' below the mobile breakpoint, 'desktop' otherwise
+   */
+  getMode(menuContainer) {
+    const mediaQuery =
+      (menuContainer && this.menuInstances.get(menuContainer)?.mobileMediaQuery) ||
+      getMobileMediaQuery(this.config, menuContainer)
+
+    return mediaQuery.matches ? 'mobile' : 'desktop'
+  }
+
+  /**
+   * Close every open submenu
+   * @param {HTMLElement} [menuContainer] - Only close submenus within this container. Defaults to all menus.
+   */
+  closeAll(menuContainer) {
+    this.menuInstances.forEach((instance, container) => {
+      if (menuContainer && container !== menuContainer) return
+
+      instance.menuButtons.forEach(menuButton => {
+        if (menuButton.isOpen()) {
+          menuButton.closePopup('api')
+        }
+      })
+    })
+  }
+
+  /**
+   * Resolve a path of labels to menu items
+   * @param {string[]} path - Labels from the top level down, e.g. ['Products', 'Software']
+   * @param {HTMLElement} [menuContainer] - The menu container to search. Defaults to all menus.
+   * @returns {HTMLElement[]|null} - The link or controller element for every label, or null if not found
+   */
+  resolvePath(path, menuContainer) {
+    const containers = menuContainer ? [menuContainer] : [...this.menuInstances.keys()]
+    const normalize = label => label.trim().toLowerCase()
+
+    for (const container of containers) {
+      let panel = container.querySelector('[data-depth="0"]')
+      const elements = []
+
+      for (const label of path) {
+        const item = panel
+          ? this.getPanelItems(panel, container).find(el => normalize(el.textContent) === normalize(label))
+          : null
+        if (!item) break
+
+        elements.push(item)
+        const controlsId = item.getAttribute('data-menu-controls')
+        panel = getElementById(container, controlsId)
+      }
+
+      if (elements.length === path.length) return elements
+    }
+
+    return null
+  }
+
+  /**
+   * Get the links and controllers that belong directly to a menu level
+   * @param {HTMLElement} panel - The menu ul or mega menu panel
+   * @param {HTMLElement} menuContainer - The menu container
+   * @returns {HTMLElement[]} - Items of that level, excluding items of nested submenus
+   */
+  getPanelItems(panel, menuContainer) {
+    const nestedPanels = [...panel.querySelectorAll('[id]')].filter(element =>
+      menuContainer.querySelector(`[data-menu-controls="${element.id}"]`),
+    )
+
+    return [...panel.querySelectorAll(`.${this.config.linkClass}`)].filter(
+      item => !nestedPanels.some(nested => nested.contains(item)),
+    )
+  }
+
+  /**
+   * Open every submenu along a path of labels
+   * @param {string[]} path - Labels from the top level down, e.g. ['Products', 'Software']
+   * @param {HTMLElement} [menuContainer] - The menu container to search. Defaults to all menus.
+   * @returns {HTMLElement|null} - The element for the last label, or null if the path was not found
+   */
+  openPath(path, menuContainer) {
+    const elements = this.resolvePath(path, menuContainer)
+    if (!elements) return null
+
+    const target = elements[elements.length - 1]
+    if (this.getMenuButton(target)) {
+      this.open(target)
+    } else if (elements.length > 1) {
+      this.open(elements[elements.length - 2])
+    }
+
+    return target
+  }
+
+  /**
+   * Move focus to a menu item, opening the submenus it is nested in
+   * @param {HTMLElement|string[]} pathOrElement - The item element or a path of labels
+   * @param {HTMLElement} [menuContainer] - The menu container to search when a path is given
+   * @returns {HTMLElement|null} - The focused element, or null if it was not found
+   */
+  focusItem(pathOrElement, menuContainer) {
+    const element = Array.isArray(pathOrElement) ? this.resolvePath(pathOrElement, menuContainer)?.pop() : pathOrElement
+    if (!element) return null
+
+    const controllers = this.getAncestorControllers(element)
+    const needsOpening = controllers.some(controller => controller.getAttribute('aria-expanded') !== 'true')
+
+    if (controllers.length > 0 && !this.open(controllers[controllers.length - 1])) {
+      return null
+    }
+
+    // Delay focus to allow CSS visibility transition to complete, same as MenuButton.focusFirstItem
+    if (needsOpening) {
+      setTimeout(() => element.focus(), 30)
+    } else {
+      element.focus()
+    }
+
+    return element
+  }
+
+  /**
+   * Serialize a menu to a tree of menu item objects
+   *
+   * Every item has its label, href, depth, controller tag, panel id, mega menu flag, aria-current value,
+   * expanded state and the attributes it had before initialization. The tree can be passed to render().
+   *
+   * @param {HTMLElement} [menuContainer] - The menu container. Without one, every initialized menu is serialized.
+   * @returns {Object[]|Object[][]} - The items of the menu, or one tree per menu
+   */
+  toJSON(menuContainer) {
+    // JSON.stringify passes a key string, serialize every menu then
+    if (!(menuContainer instanceof Element)) {
+      return [...this.menuInstances.keys()].map(container => this.toJSON(container))
+    }
+
+    const topLevelMenu = menuContainer.querySelector('[data-depth="0"]') || menuContainer.querySelector('ul')
+    if (!topLevelMenu) return []
+
+    return readMenuList(topLevelMenu, this.config, this.snapshots.get(menuContainer))
   }
 
   /**
    * Destroy a menu instance
+   * Removes every listener and restores the attributes, classes and ids the library added,
+   * so the container can be initialized again as if on a fresh page.
    * @param {HTMLElement} menuContainer - The menu container to destroy
    */
   destroy(menuContainer) {
+    this.observers.get(menuContainer)?.disconnect()
+    this.observers.delete(menuContainer)
+
     const instance = this.menuInstances.get(menuContainer)
     if (instance) {
       instance.destroy()
       this.menuInstances.delete(menuContainer)
     }
+
+    const snapshot = this.snapshots.get(menuContainer)
+    if (snapshot) {
+      snapshot.restore()
+      this.snapshots.delete(menuContainer)
+    }
+    this.activeTrails.delete(menuContainer)
+
+    resetOnce(menuContainer)
   }
 
   /**
@@ -232,6 +839,17 @@ export class Menubar {
     this.menuInstances.forEach((instance, container) => {
       this.destroy(container)
     })
+
+    this.announcer?.destroy()
+
+    // Containers that were only given ARIA or mobile controls
+    this.snapshots.forEach((snapshot, container) => {
+      snapshot.restore()
+      if (container !== document) {
+        resetOnce(container)
+      }
+    })
+    this.snapshots.clear()
   }
 }
 
@@ -244,15 +862,80 @@ class MenuController {
    * Create a MenuController instance
    * @param {HTMLElement} menuContainer - The menu container element
    * @param {Object} config - Configuration options
+   * @param {AttributeSnapshot} [snapshot] - Records attribute changes so destroy can undo them
+   * @param {Announcer|null} [announcer] - Announces opened submenus when set
    */
-  constructor(menuContainer, config) {
+  constructor(menuContainer, config, snapshot = new AttributeSnapshot(), announcer = null) {
     this.menuContainer = menuContainer
     this.config = config
+    this.snapshot = snapshot
+    this.announcer = announcer
     this.mobileBreakpoint = this.config.mobileBreakpoint
-    this.mobileMediaQuery = window.matchMedia(`(max-width: ${this.mobileBreakpoint}px)`)
-    this.menuContainer.setAttribute('data-breakpoint', this.mobileBreakpoint)
+    this.mobileMediaQuery = getMobileMediaQuery(this.config, this.menuContainer)
+    this.mode = this.getMode()
+    // The breakpoint means nothing once a custom query decides the mode
+    if (!this.config.mobileMediaQuery) {
+      this.snapshot.set(this.menuContainer, 'data-breakpoint', this.mobileBreakpoint)
+    }
+    this.snapshot.set(this.menuContainer, 'data-orientation', this.getOrientation())
+    this.menuButtons = new Map()
+    this.menuLinks = new Map()
+    this.mobileController = null
+
+    // Bind methods so the same references can be removed on destroy
+    this.onFocusin = this.onFocusin.bind(this)
+    this.onModeChange = this.onModeChange.bind(this)
 
     this.initializeMenus()
+    this.mobileMediaQuery.addEventListener?.('change', this.onModeChange)
+
+    if (this.config.applyRoles) {
+      this.applyRoles()
+      this.menuContainer.addEventListener('focusin', this.onFocusin)
+    }
+  }
+
+  /**
+   * Get the orientation of the top-level menu
+   * @returns {string} - 'vertical' or 'horizontal'
+   */
+  getOrientation() {
+    const topLevelMenu = this.menuContainer.querySelector('[data-depth="0"]')
+    const orientation = topLevelMenu?.getAttribute('aria-orientation') || this.config.orientation
+
+    return orientation === 'vertical' ? 'vertical' : 'horizontal'
+  }
+
+  /**
+   * Get the layout the menu is currently in
+   * @returns {string} - 'mobile' below the breakpoint, 'desktop' otherwise
+   */
+  getMode() {
+    return this.mobileMediaQuery.matches ? 'mobile' : 'desktop'
+  }
+
+  /**
+   * Reset the menu when the viewport crosses the mobile breakpoint
+   * Submenus opened inline on mobile would turn into stray flyouts on desktop and the other way round,
+   * so every submenu is closed, deepest first, before `menu:modechange` is dispatched.
+   */
+  onModeChange() {
+    const previousMode = this.mode
+    this.mode = this.getMode()
+    if (this.mode === previousMode) return
+
+    ;[...this.menuButtons.values()].reverse().forEach(menuButton => {
+      if (menuButton.isOpen()) {
+        menuButton.closePopup('breakpoint')
+      }
+    })
+    this.mobileController?.onModeChange()
+
+    dispatchMenuEvent(this.menuContainer, MENU_EVENTS.modeChange, {
+      menuContainer: this.menuContainer,
+      mode: this.mode,
+      previousMode,
+    })
   }
 
   /**
@@ -264,7 +947,11 @@ class MenuController {
 
     // Initialize MenuButton for each controller in the menuContainer
     this.menuContainer.querySelectorAll(controllerSelectors).forEach(controller => {
-      new MenuButton(controller, this.config, this.mobileMediaQuery)
+      if (this.menuButtons.has(controller)) return
+      this.menuButtons.set(
+        controller,
+        new MenuButton(controller, this.config, this.mobileMediaQuery, this.snapshot, this.announcer),
+      )
     })
 
     // Initialize main menu list
@@ -274,17 +961,131 @@ class MenuController {
       )
       .forEach(item => {
         const link = item.querySelector(`.${this.config.linkClass}`)
-        if (link && !this.config.controllerTags.includes(link.tagName.toLowerCase())) {
-          new MenuLinks(link, this.config)
+        if (link && !this.config.controllerTags.includes(link.tagName.toLowerCase()) && !this.menuLinks.has(link)) {
+          this.menuLinks.set(link, new MenuLinks(link, this.config, this.snapshot, this.mobileMediaQuery))
+        }
+      })
+  }
+
+  /**
+   * Pick up items added to or removed from the menu container
+   * Removed items are torn down, new ones are initialized and every item recollects its siblings.
+   */
+  refresh() {
+    ;[this.menuButtons, this.menuLinks].forEach(instances => {
+      instances.forEach((instance, element) => {
+        if (!this.menuContainer.contains(element)) {
+          instance.destroy()
+          instances.delete(element)
         }
       })
+    })
+
+    this.initializeMenus()
+
+    this.menuButtons.forEach(menuButton => menuButton.updateMenuitemNodes())
+    this.menuLinks.forEach(menuLink => menuLink.updateMenuitemNodes())
+
+    if (this.config.applyRoles) {
+      this.applyRoles()
+    }
+  }
+
+  /**
+   * Apply the ARIA menu roles and the initial roving tabindex
+   * The top-level list becomes the menubar and every submenu panel, including mega menu panels, a menu.
+   * Lists inside mega menu panels and all list items are presentational. Only one top-level item is tabbable.
+   */
+  applyRoles() {
+    const topLevelMenu = this.menuContainer.querySelector('[data-depth="0"]')
+    if (!topLevelMenu) return
+
+    const { itemClass, linkClass, buttonClass } = this.config
+    const topLevelItems = this.getTopLevelItems()
+    const tabbableItem = topLevelItems.find(item => item.getAttribute('tabindex') === '0')
+    const panels = new Map()
+
+    this.menuButtons.forEach((menuButton, controller) => {
+      if (menuButton.menuNode) {
+        panels.set(menuButton.menuNode, controller)
+      }
+    })
+
+    this.snapshot.set(topLevelMenu, 'role', 'menubar')
+    if (this.getOrientation() === 'vertical') {
+      this.snapshot.set(topLevelMenu, 'aria-orientation', 'vertical')
+    }
+
+    topLevelMenu.querySelectorAll('ul').forEach(list => {
+      if (!panels.has(list)) {
+        this.snapshot.set(list, 'role', 'none')
+      }
+    })
+    panels.forEach((controller, panel) => {
+      this.snapshot.set(panel, 'role', 'menu')
+      this.snapshot.set(panel, 'aria-label', controller.textContent.trim())
+    })
+
+    topLevelMenu.querySelectorAll(`.${itemClass}`).forEach(item => this.snapshot.set(item, 'role', 'none'))
+    topLevelMenu.querySelectorAll(`.${linkClass}, .${buttonClass}`).forEach(item => {
+      this.snapshot.set(item, 'role', 'menuitem')
+      this.snapshot.set(item, 'tabindex', '-1')
+    })
+
+    // Keep the roving tabindex where it was when items are added later
+    const firstItem = tabbableItem || topLevelItems[0]
+    if (firstItem) {
+      this.snapshot.set(firstItem, 'tabindex', '0')
+    }
+  }
+
+  /**
+   * Get the links and controllers of the top-level menu
+   * @returns {HTMLElement[]} - The top-level items
+   */
+  getTopLevelItems() {
+    const topLevelMenu = this.menuContainer.querySelector('[data-depth="0"]')
+    if (!topLevelMenu) return []
+
+    return [...topLevelMenu.children]
+      .filter(item => item.classList.contains(this.config.itemClass))
+      .map(item =>
+        [...item.children].find(
+          child => child.classList.contains(this.config.linkClass) || child.classList.contains(this.config.buttonClass),
+        ),
+      )
+      .filter(Boolean)
+  }
+
+  /**
+   * Keeps the roving tabindex on the last focused top-level item.
+   *
+   * @param {FocusEvent} event - The focusin event.
+   */
+  onFocusin(event) {
+    const topLevelItems = this.getTopLevelItems()
+    if (!topLevelItems.includes(event.target)) return
+
+    topLevelItems.forEach(item => {
+      item.setAttribute('tabindex', item === event.target ? '0' : '-1')
+    })
   }
 
   /**
    * Destroy the menu controller and clean up
    */
   destroy() {
-    // @TODO: Clean up any event listeners or resources
+    this.menuContainer.removeEventListener('focusin', this.onFocusin)
+    this.mobileMediaQuery.removeEventListener?.('change', this.onModeChange)
+    this.menuButtons.forEach(menuButton => menuButton.destroy())
+    this.menuLinks.forEach(menuLink => menuLink.destroy())
+    this.menuButtons.clear()
+    this.menuLinks.clear()
+
+    if (this.mobileController) {
+      this.mobileController.destroy()
+      this.mobileController = null
+    }
   }
 }
 
@@ -300,10 +1101,33 @@ class MenuLinks {
    * Create a MenuLinks instance
    * @param {HTMLElement} domNode - The menu link or item element
    * @param {Object} config - Configuration options
+   * @param {AttributeSnapshot} [snapshot] - Records attribute changes so destroy can undo them
+   * @param {MediaQueryList|null} [mobileMediaQuery] - The mobile media query shared by the menu, resolved from config when omitted
    */
-  constructor(domNode, config) {
+  constructor(domNode, config, snapshot = new AttributeSnapshot(), mobileMediaQuery = null) {
     this.domNode = domNode
     this.config = config
+    this.snapshot = snapshot
+    this.mobileMediaQuery = mobileMediaQuery
+
+    // Bind methods so the same references can be removed on destroy
+    this.onMenuitemKeydown = this.onMenuitemKeydown.bind(this)
+    this.onMenuitemClick = this.onMenuitemClick.bind(this)
+
+    this.updateMenuitemNodes()
+
+    if (!config.controllerTags.includes(domNode.tagName.toLowerCase())) {
+      this.domNode.addEventListener('keydown', this.onMenuitemKeydown)
+      this.domNode.addEventListener('click', this.onMenuitemClick)
+    }
+  }
+
+  /**
+   * Collect the menu items this item navigates between
+   * Called again on refresh, after items were added to or removed from the menu.
+   */
+  updateMenuitemNodes() {
+    const { domNode, config } = this
 
     // Find parent ul element
     const parentMenu = domNode.closest('ul')
@@ -321,10 +1145,8 @@ class MenuLinks {
       this.menuitemNodes = [...this.menuitemNodes, ...megaMenuLinks]
     }
 
-    if (domNode && config.controllerTags.includes(domNode.tagName.toLowerCase())) {
+    if (config.controllerTags.includes(domNode.tagName.toLowerCase())) {
       this.menuitemNodes = this.menuitemNodes.filter(item => item !== domNode)
-    } else {
-      this.domNode.addEventListener('keydown', this.onMenuitemKeydown.bind(this))
     }
 
     this.firstMenuitem = this.menuitemNodes[0]
@@ -332,11 +1154,22 @@ class MenuLinks {
   }
 
   /**
-   * Create a mobile media query based on the mobile breakpoint from config
+   * Remove the event listeners added by this instance
+   */
+  destroy() {
+    this.domNode.removeEventListener('keydown', this.onMenuitemKeydown)
+    this.domNode.removeEventListener('click', this.onMenuitemClick)
+  }
+
+  /**
+   * Get the mobile media query, resolving it from config when the menu didn't pass one
    * @returns {MediaQueryList} The mobile media query object
    */
   createMobileMediaQuery() {
-    return window.matchMedia(`(max-width: ${this.config.mobileBreakpoint}px)`)
+    if (!this.mobileMediaQuery) {
+      this.mobileMediaQuery = getMobileMediaQuery(this.config, this.domNode.closest(this.config.menuSelector))
+    }
+    return this.mobileMediaQuery
   }
 
   /**
@@ -348,13 +1181,18 @@ class MenuLinks {
    * - Down or ArrowDown: Calls the handleDownArrow method and prevents the default action.
    * - Left or ArrowLeft: Calls the handleLeftArrow method.
    * - Right or ArrowRight: Calls the handleRightArrow method.
+   * - Home or End: Calls the handleHomeEnd method and prevents the default action.
+   * - PageUp or PageDown: Calls the handlePageKeys method and prevents the default action when enabled.
    * - Tab: Calls the handleTab method.
    * - Escape or Esc: Calls the handleEscape method and, if not on mobile, prevents the default action and stops propagation.
+   * - Printable characters: Calls the handleTypeAhead method and prevents the default action when an item matched.
+   *
+   * Arrow keys are mirrored in right-to-left layouts and swapped on top-level items of a vertical menubar first, see getOrientedKey.
    */
   onMenuitemKeydown(event) {
     let flag = false
 
-    switch (event.key) {
+    switch (this.getOrientedKey(event.key)) {
       case 'Up':
       case 'ArrowUp':
         this.handleUpArrow(event.target)
@@ -377,6 +1215,17 @@ class MenuLinks {
         this.handleRightArrow()
         break
 
+      case 'Home':
+      case 'End':
+        this.handleHomeEnd(event.target, event.key)
+        flag = true
+        break
+
+      case 'PageUp':
+      case 'PageDown':
+        flag = this.handlePageKeys(event.target, event.key)
+        break
+
       case 'Tab':
         this.handleTab(event)
         break
@@ -384,13 +1233,15 @@ class MenuLinks {
       case 'Escape':
       case 'Esc':
         this.handleEscape()
-        if (!this.mobileMediaQuery || !this.mobileMediaQuery.matches) {
+        // Links have no media query of their own, on mobile Escape has to reach the mobile menu controller
+        if (!this.createMobileMediaQuery().matches) {
           flag = true
           event.stopPropagation()
         }
         break
 
       default:
+        flag = this.handleTypeAhead(event)
         break
     }
 
@@ -399,6 +1250,89 @@ class MenuLinks {
     }
   }
 
+  /**
+   * Checks if the menu this item belongs to is laid out vertically.
+   *
+   * @returns {boolean} - True for a vertical menubar.
+   */
+  isVertical() {
+    return this.domNode.closest(this.config.menuSelector)?.dataset.orientation === 'vertical'
+  }
+
+  /**
+   * Checks if the menu this item belongs to is laid out right-to-left.
+   *
+   * @returns {boolean} - True for right-to-left menus.
+   */
+  isRtl() {
+    return isRightToLeft(this.domNode.closest(this.config.menuSelector), this.config.direction)
+  }
+
+  /**
+   * Maps an arrow key to the key with the same meaning in a horizontal left-to-right menubar.
+   *
+   * @param {string} key - The pressed key.
+   * @returns {string} - The key to handle.
+   *
+   * In right-to-left menus Left and Right are swapped at every level, so flyouts open with Left and
+   * moving along the menubar follows the visual order. On top-level items of a vertical menubar
+   * Up/Down then move between items and the key pointing at the flyouts opens them.
+   */
+  getOrientedKey(key) {
+    const logicalKey = this.isRtl() ? mirrorArrowKey(key) : key
+
+    if (
+      !this.isVertical() ||
+      this.domNode.closest('ul')?.dataset.depth !== '0' ||
+      !(logicalKey in VERTICAL_TOP_LEVEL_KEYS)
+    ) {
+      return logicalKey
+    }
+
+    return VERTICAL_TOP_LEVEL_KEYS[logicalKey]
+  }
+
+  /**
+   * Handles click events on menu link items.
+   *
+   * @param {MouseEvent} event - The click event.
+   *
+   * Dispatches a cancelable `menu:activate` event from the menu container.
+   * If a listener cancels it, the default navigation of the link is prevented.
+   */
+  onMenuitemClick(event) {
+    const menuContainer = this.domNode.closest(this.config.menuSelector)
+    const { controller, submenu } = findOwningMenu(this.domNode, menuContainer)
+    const parentMenu = this.domNode.closest('[data-depth]')
+
+    const detail = {
+      controller,
+      submenu,
+      depth: parentMenu ? parseInt(parentMenu.getAttribute('data-depth')) : 0,
+      trigger: event.detail === 0 ? 'keyboard' : 'click',
+      item: this.domNode,
+    }
+
+    if (!dispatchMenuEvent(menuContainer, MENU_EVENTS.activate, detail, true)) {
+      event.preventDefault()
+    }
+  }
+
+  /**
+   * Expands or collapses a controller, dispatching the cancelable before/after menu events.
+   *
+   * @param {HTMLElement} controller - The controller element.
+   * @param {boolean} expanded - Whether the controller should be expanded.
+   * @param {string} [trigger='api'] - What caused the change (click, keyboard, outside-click, escape, api).
+   * @returns {boolean} - True if the controller ended up in the requested state.
+   */
+  setExpanded(controller, expanded, trigger = 'api') {
+    return setControllerExpanded(controller, expanded, {
+      menuContainer: controller.closest(this.config.menuSelector),
+      trigger,
+    })
+  }
+
   /*----------------------------------------------*\
       Keydown functions for MenuLinks
   \*----------------------------------------------*/
@@ -582,21 +1516,162 @@ class MenuLinks {
    * Note: This method assumes the controlling button is associated with the menu via the 'data-menu-controls' attribute.
    */
   handleEscape() {
+    // In strict mode, always return to the controller owning the current panel, including mega menus
+    if (this.config.strictApg) {
+      this.closeOwningMenu(this.domNode)
+      return
+    }
+
     // Find controlling button and close menu
     const menuNode = this.domNode.closest('ul')
     if (menuNode && menuNode.id) {
-      const controllingButton = document.querySelector(`[data-menu-controls="${menuNode.id}"]`)
+      const controllingButton = querySelectorInRoot(menuNode, `[data-menu-controls="${menuNode.id}"]`)
       if (controllingButton) {
-        controllingButton.setAttribute('aria-expanded', 'false')
+        this.setExpanded(controllingButton, false, 'escape')
         controllingButton.focus()
       }
     }
   }
 
+  /**
+   * Handles printable characters for type-ahead navigation.
+   *
+   * @param {KeyboardEvent} event - The keydown event.
+   * @returns {boolean} - True if focus moved to a matching item.
+   *
+   * Characters typed in quick succession are combined, so "se" moves to "Services" rather than "Search".
+   * The search is limited to the current menu level (or mega menu panel) and skips hidden items.
+   */
+  handleTypeAhead(event) {
+    if (!this.config.typeAhead || !isPrintableCharacter(event)) return false
+
+    const target = event.target
+    const { scope, items } = this.getMenuLevelItems(target)
+    const match = findTypeAheadMatch(scope, items, target, event.key, this.config.typeAheadTimeout)
+
+    if (!match) return false
+
+    this.focusLevelItem(target, scope, match)
+    return true
+  }
+
+  /**
+   * Handles the 'Home' and 'End' key events for a menu item.
+   *
+   * @param {HTMLElement} target - The current active menu item.
+   * @param {string} key - Either 'Home' or 'End'.
+   *
+   * Moves focus to the first or last visible item of the current menu level (or mega menu panel).
+   */
+  handleHomeEnd(target, key) {
+    const { scope, items } = this.getMenuLevelItems(target)
+    const item = key === 'Home' ? items[0] : items[items.length - 1]
+
+    this.focusLevelItem(target, scope, item)
+  }
+
+  /**
+   * Handles the 'PageUp' and 'PageDown' key events for a menu item.
+   *
+   * @param {HTMLElement} target - The current active menu item.
+   * @param {string} key - Either 'PageUp' or 'PageDown'.
+   * @returns {boolean} - True if the key was handled, false when `pageStep` is not configured.
+   *
+   * Moves focus `pageStep` items up or down within the current menu level, stopping at the first or last item.
+   */
+  handlePageKeys(target, key) {
+    const step = parseInt(this.config.pageStep)
+    if (!step) return false
+
+    const { scope, items } = this.getMenuLevelItems(target)
+    const currentIndex = Math.max(items.indexOf(target), 0)
+    const targetIndex = key === 'PageUp' ? currentIndex - step : currentIndex + step
+
+    this.focusLevelItem(target, scope, items[Math.min(Math.max(targetIndex, 0), items.length - 1)])
+    return true
+  }
+
+  /**
+   * Moves focus to another item of the same menu level.
+   *
+   * @param {HTMLElement} target - The current active menu item.
+   * @param {HTMLElement} scope - The menu level, as returned by getMenuLevelItems.
+   * @param {HTMLElement} item - The item to focus.
+   */
+  focusLevelItem(target, scope, item) {
+    if (!item || item === target) return
+
+    // Moving between top-level items closes open submenus, same as the arrow keys
+    const menuContainer = target.closest(this.config.menuSelector)
+    if (scope.dataset.depth === '0' && !this.createMobileMediaQuery().matches) {
+      this.closeAllButtons(menuContainer)
+    }
+
+    item.focus()
+  }
+
   /*----------------------------------------------*\
       Supporting functions Keydown for MenuLinks
   \*----------------------------------------------*/
 
+  /**
+   * Closes the submenu containing a node and moves focus to the controller that owns it.
+   *
+   * @param {HTMLElement} node - The node inside the submenu.
+   * @returns {boolean} - True if an owning controller was found.
+   */
+  closeOwningMenu(node) {
+    const menuContainer = node.closest(this.config.menuSelector)
+    const { controller } = findOwningMenu(node, menuContainer)
+
+    if (!controller) return false
+
+    this.setExpanded(controller, false, 'escape')
+    controller.focus()
+    return true
+  }
+
+  /**
+   * Gets the visible items that share a menu level with the target.
+   *
+   * @param {HTMLElement} target - The focused menu item.
+   * @returns {{scope: HTMLElement, items: HTMLElement[]}} - The menu level (ul or mega menu panel) and its items.
+   *
+   * Mega menu panels are treated as a single level spanning all of their columns.
+   */
+  getMenuLevelItems(target) {
+    const megaMenu = target.closest(`.${this.config.megaMenuClass}`)
+    if (megaMenu) {
+      return { scope: megaMenu, items: this.getFocusableElements(megaMenu) }
+    }
+
+    const scope = target.closest('ul') || target.parentElement
+    const items = [...scope.children]
+      .filter(item => item.classList.contains(this.config.itemClass))
+      .map(item => [...item.children].find(child => child.classList.contains(this.config.linkClass)))
+      .filter(Boolean)
+
+    return { scope, items: items.filter(item => this.isVisible(item)) }
+  }
+
+  /**
+   * Checks if a menu item is visible.
+   *
+   * @param {HTMLElement} element - The element to check.
+   * @returns {boolean} - True if the element is visible.
+   */
+  isVisible(element) {
+    // Use checkVisibility if available, otherwise fallback to basic visibility check
+    if (typeof element.checkVisibility === 'function') {
+      return element.checkVisibility({
+        opacityProperty: true,
+        visibilityProperty: true,
+      })
+    }
+
+    return !element.closest('[hidden], [aria-hidden="true"]')
+  }
+
   /**
    * Handles left arrow navigation in nested menus.
    * Closes submenu and moves focus to parent menu item or navigates to previous top-level item.
@@ -615,12 +1690,13 @@ class MenuLinks {
       const parentMenuItem = menuController.closest(`.${this.config.itemClass}`)
       const parentUl = parentMenuItem?.closest('ul[data-depth]')
 
-      // If parent menu item is in the Menubar (data-depth="0")
-      if (parentUl && parentUl.dataset.depth === '0') {
+      // If parent menu item is in a horizontal Menubar (data-depth="0"), move along the bar.
+      // Flyouts of a vertical menubar close back to their controller instead.
+      if (parentUl && parentUl.dataset.depth === '0' && !this.isVertical()) {
         this.navigateToTopLevelItem(parentMenuItem, 'previous', menuContainer)
       } else {
         // Focus on the parent menu item and close submenu
-        menuController.setAttribute('aria-expanded', 'false')
+        this.setExpanded(menuController, false, 'keyboard')
         menuController.focus()
       }
       return
@@ -629,9 +1705,12 @@ class MenuLinks {
 
   /**
    * Handles right arrow navigation in nested menus.
-   * Navigates to next top-level menu item with submenu handling.
+   * Navigates to next top-level menu item with submenu handling, except in a vertical menubar.
    */
   handleNestedMenuRight() {
+    // Right only opens flyouts in a vertical menubar, the next top-level item is reached with Down
+    if (this.isVertical()) return
+
     // Find the closest menu container to get access to proper navigation
     const menuContainer = this.domNode.closest(this.config.menuSelector)
 
@@ -802,8 +1881,11 @@ class MenuLinks {
    * their `aria-expanded` attribute to `false`. It does this for both top-level menu buttons and buttons in
    * submenus, ensuring that all other menus are closed except for the menu associated with the current
    * `domNode` (the menu button that invoked this method).
+   *
+   * @param {HTMLElement} menuContainer - The menu container.
+   * @param {string} [trigger='keyboard'] - What caused the menus to close.
    */
-  closeAllButtons(menuContainer) {
+  closeAllButtons(menuContainer, trigger = 'keyboard') {
     if (!menuContainer) return
 
     // If on mobile, don't close buttons
@@ -823,7 +1905,7 @@ class MenuLinks {
     // Close all others except the current one
     expandedControllers.forEach(controller => {
       if (controller !== this.domNode) {
-        controller.setAttribute('aria-expanded', 'false')
+        this.setExpanded(controller, false, trigger)
       }
     })
   }
@@ -878,15 +1960,7 @@ class MenuLinks {
     const controller = this.config.controllerTags.join(', ')
     const selector = `.${this.config.linkClass}:is(a[href], ${controller})`
 
-    return [...menu.querySelectorAll(selector)].filter(element => {
-      // Use checkVisibility if available, otherwise fallback to basic visibility check
-      if (typeof element.checkVisibility === 'function') {
-        return element.checkVisibility({
-          opacityProperty: true,
-          visibilityProperty: true,
-        })
-      }
-    })
+    return [...menu.querySelectorAll(selector)].filter(element => this.isVisible(element))
   }
 }
 
@@ -899,45 +1973,74 @@ class MenuButton extends MenuLinks {
    * @param {HTMLElement} buttonNode - The button or controller element
    * @param {Object} config - Configuration options
    * @param {MediaQueryList} mobileMediaQuery - The mobile media query object
+   * @param {AttributeSnapshot} [snapshot] - Records attribute changes so destroy can undo them
+   * @param {Announcer|null} [announcer] - Announces the submenu when it opens
    */
-  constructor(buttonNode, config, mobileMediaQuery) {
-    const menuContainer = buttonNode.closest(config.menuSelector)
-    super(buttonNode, config)
+  constructor(buttonNode, config, mobileMediaQuery, snapshot, announcer = null) {
+    super(buttonNode, config, snapshot, mobileMediaQuery)
 
     this.buttonNode = buttonNode
     this.config = config
-    this.mobileMediaQuery = mobileMediaQuery
-
-    // Find the related menu
-    const controlsId = buttonNode.getAttribute('data-menu-controls')
-    this.menuNode = controlsId ? document.getElementById(controlsId) : null
+    this.announcer = announcer
+    // Set while a strict Enter/Space keypress already toggled the popup, see onButtonKeyup
+    this.keyActivated = false
 
-    if (this.menuNode) {
-      this.menuitemNodes = Array.from(this.menuNode.querySelectorAll(`.${config.linkClass}`))
-      this.firstMenuitem = this.menuitemNodes[0]
-      this.lastMenuitem = this.menuitemNodes[this.menuitemNodes.length - 1]
-    }
+    // Bind methods so the same references can be removed on destroy
+    this.onButtonKeydown = this.onButtonKeydown.bind(this)
+    this.onButtonKeyup = this.onButtonKeyup.bind(this)
+    this.onButtonClick = this.onButtonClick.bind(this)
+    this.onBackgroundMousedown = this.onBackgroundMousedown.bind(this)
 
     // Set initial state
-    this.buttonNode.setAttribute('aria-expanded', 'false')
+    this.snapshot.set(this.buttonNode, 'aria-expanded', 'false')
 
     // Add controller class for styling
-    this.buttonNode.classList.add(`${this.config.controllerClass}`)
+    this.snapshot.addClass(this.buttonNode, `${this.config.controllerClass}`)
 
     // Check if listeners are already attached to prevent duplicates
     if (!this.buttonNode.hasAttribute('data-menu')) {
-      // Remove any existing listeners first
-      this.buttonNode.removeEventListener('keydown', this.onButtonKeydown.bind(this))
-      this.buttonNode.removeEventListener('click', this.onButtonClick.bind(this))
-
       // Attach event listeners to the main menu button
-      this.buttonNode.addEventListener('keydown', this.onButtonKeydown.bind(this))
-      this.buttonNode.addEventListener('click', this.onButtonClick.bind(this))
-      this.buttonNode.setAttribute('data-menu', 'true')
+      this.buttonNode.addEventListener('keydown', this.onButtonKeydown)
+      this.buttonNode.addEventListener('keyup', this.onButtonKeyup)
+      this.buttonNode.addEventListener('click', this.onButtonClick)
+      this.snapshot.set(this.buttonNode, 'data-menu', 'true')
+      this.hasListeners = true
     }
 
     // Add background click listener
-    document.addEventListener('mousedown', this.onBackgroundMousedown.bind(this))
+    document.addEventListener('mousedown', this.onBackgroundMousedown)
+  }
+
+  /**
+   * Collect the items of the related menu, or the items around the button when it has none
+   */
+  updateMenuitemNodes() {
+    // Find the related menu
+    this.menuNode = getElementById(this.domNode, this.domNode.getAttribute('data-menu-controls'))
+
+    if (!this.menuNode) {
+      super.updateMenuitemNodes()
+      return
+    }
+
+    this.menuitemNodes = Array.from(this.menuNode.querySelectorAll(`.${this.config.linkClass}`))
+    this.firstMenuitem = this.menuitemNodes[0]
+    this.lastMenuitem = this.menuitemNodes[this.menuitemNodes.length - 1]
+  }
+
+  /**
+   * Remove the event listeners added by this instance
+   */
+  destroy() {
+    super.destroy()
+
+    if (this.hasListeners) {
+      this.buttonNode.removeEventListener('keydown', this.onButtonKeydown)
+      this.buttonNode.removeEventListener('keyup', this.onButtonKeyup)
+      this.buttonNode.removeEventListener('click', this.onButtonClick)
+      this.hasListeners = false
+    }
+    document.removeEventListener('mousedown', this.onBackgroundMousedown)
   }
 
   /**
@@ -950,7 +2053,18 @@ class MenuButton extends MenuLinks {
    * - 'Down' or 'ArrowDown': If the next sibling of the button node has a 'data-depth' attribute of '1', opens the popup, focuses on the first menu item, and prevents the default action. Otherwise, calls the `handleDownArrow` method with the button node and prevents the default action.
    * - 'Left' or 'ArrowLeft': If the next sibling of the button node does not have a 'data-depth' attribute of '1', closes the popup and focuses on the button node. Otherwise, calls the `handleLeftArrow` method with the button node.
    * - 'Right' or 'ArrowRight': If the next sibling of the button node does not have a 'data-depth' attribute of '1', opens the popup and focuses on the first menu item. Otherwise, calls the `handleRightArrow` method with the button node.
+   * - 'Home' or 'End': Moves focus to the first or last item at the same level.
+   * - 'PageUp' or 'PageDown': Jumps `pageStep` items at the same level, when enabled.
    * - 'Esc' or 'Escape': Closes the popup and prevents the default action.
+   * - Printable characters: Moves focus to the next item at the same level whose label starts with the typed characters.
+   *
+   * With `strictApg` enabled:
+   * - 'Enter' or 'Space': Opens the popup and focuses the first item instead of relying on the native click.
+   * - 'Up' or 'ArrowUp' on a menubar item: Opens the popup and focuses the last item.
+   * - 'Esc' or 'Escape' on a closed controller: Closes the submenu it sits in and focuses the owning controller.
+   *
+   * Left and Right are mirrored in right-to-left menus. In a vertical menubar, top-level arrow keys are swapped
+   * so Up/Down move between items and Right opens the flyout.
    *
    * If the 'ctrl', 'alt', or 'meta' key is pressed during the event, the method returns without doing anything.
    */
@@ -961,15 +2075,32 @@ class MenuButton extends MenuLinks {
 
     let flag = false
     let relatedMenu = null
+    this.keyActivated = false
 
     if (this.buttonNode.nextElementSibling) {
       relatedMenu = this.buttonNode.nextElementSibling
     }
 
-    switch (event.key) {
+    switch (this.getOrientedKey(event.key)) {
+      case 'Enter':
+      case ' ':
+        // Strict mode opens the submenu and moves into it instead of relying on the native click
+        if (this.config.strictApg && this.menuNode) {
+          this.openAndFocus('first')
+          this.keyActivated = true
+          flag = true
+        }
+        break
+
       case 'Up':
       case 'ArrowUp':
-        this.handleUpArrow(this.buttonNode)
+        // Strict mode opens menubar submenus on the last item
+        if (this.config.strictApg && relatedMenu?.dataset.depth === '1') {
+          this.openAndFocus('last')
+          flag = true
+        } else {
+          this.handleUpArrow(this.buttonNode)
+        }
         break
 
       case 'Down':
@@ -977,10 +2108,11 @@ class MenuButton extends MenuLinks {
         // Second level menu opens with down arrow
         if (relatedMenu.dataset.depth == '1') {
           if (!this.mobileMediaQuery.matches) {
-            this.closeAll()
+            this.closeAll('keyboard')
+          }
+          if (this.openPopup('keyboard')) {
+            this.focusFirstItem(event.target)
           }
-          this.openPopup()
-          this.focusFirstItem(event.target)
           flag = true
         } else {
           this.handleDownArrow(event.target)
@@ -997,20 +2129,38 @@ class MenuButton extends MenuLinks {
       case 'ArrowRight':
         // Deeply nested menus open with right arrow
         if (relatedMenu && relatedMenu.dataset.depth !== '1') {
-          this.openPopup()
-          this.focusFirstItem(this.buttonNode)
+          if (this.openPopup('keyboard')) {
+            this.focusFirstItem(this.buttonNode)
+          }
         } else {
           this.handleRightArrow()
         }
         break
 
+      case 'Home':
+      case 'End':
+        this.handleHomeEnd(this.buttonNode, event.key)
+        flag = true
+        break
+
+      case 'PageUp':
+      case 'PageDown':
+        flag = this.handlePageKeys(this.buttonNode, event.key)
+        break
+
       case 'Esc':
       case 'Escape':
-        this.closePopup()
+        // Strict mode returns to the owning controller when this submenu is already closed
+        if (this.config.strictApg && !this.isOpen() && this.closeOwningMenu(this.buttonNode)) {
+          event.stopPropagation()
+        } else {
+          this.closePopup('escape')
+        }
         flag = true
         break
 
       default:
+        flag = this.handleTypeAhead(event)
         break
     }
 
@@ -1019,6 +2169,21 @@ class MenuButton extends MenuLinks {
     }
   }
 
+  /**
+   * Cancel the native activation of a button after strict mode handled Enter or Space on keydown
+   * Space activates buttons on keyup, and the click that may still follow is ignored by onButtonClick.
+   *
+   * @param {KeyboardEvent} event - The keyup event.
+   */
+  onButtonKeyup(event) {
+    if (!this.keyActivated) return
+
+    event.preventDefault()
+    setTimeout(() => {
+      this.keyActivated = false
+    })
+  }
+
   /**
    * Handles click events on the menu button.
    *
@@ -1029,15 +2194,27 @@ class MenuButton extends MenuLinks {
    * - If the menu is not open, it calls the `openPopup` method to open the menu.
    *
    * After handling the menu, it stops the propagation of the event and prevents the default action.
+   * Clicks without a pointer (Enter/Space on a native button) are reported with a `keyboard` trigger.
+   * A keyboard click following a strict Enter/Space keydown is ignored, the keydown already opened the popup.
    */
   onButtonClick(event) {
+    const trigger = event.detail === 0 ? 'keyboard' : 'click'
+
+    const handledOnKeydown = this.keyActivated && trigger === 'keyboard'
+    this.keyActivated = false
+
+    if (handledOnKeydown) {
+      event.stopPropagation()
+      event.preventDefault()
+      return
+    }
+
     if (this.isOpen()) {
-      this.closePopup()
-    } else {
-      this.openPopup()
+      this.closePopup(trigger)
+    } else if (this.openPopup(trigger)) {
       // Only close other buttons if not on mobile
       if (!this.mobileMediaQuery.matches) {
-        this.closeAll()
+        this.closeAll(trigger)
       }
     }
 
@@ -1055,8 +2232,7 @@ class MenuButton extends MenuLinks {
    * If the first menu item is not a button or link, it recursively calls itself to focus on the first menu item within the nested menu.
    */
   focusFirstItem(element) {
-    const controlsId = element.getAttribute('data-menu-controls')
-    const nestedList = controlsId ? document.getElementById(controlsId) : null
+    const nestedList = getElementById(element, element.getAttribute('data-menu-controls'))
 
     if (nestedList) {
       const firstItem = nestedList.querySelector(`.${this.config.linkClass}`)
@@ -1074,6 +2250,45 @@ class MenuButton extends MenuLinks {
     }
   }
 
+  /**
+   * Focuses on the last menu item of the nested list related to the given element.
+   *
+   * @param {HTMLElement} element - The element related to the nested list.
+   *
+   * Like `focusFirstItem`, focus is delayed so the CSS visibility transition can start first.
+   */
+  focusLastItem(element) {
+    const nestedList = getElementById(element, element.getAttribute('data-menu-controls'))
+    const firstItem = nestedList?.querySelector(`.${this.config.linkClass}`)
+
+    if (firstItem) {
+      setTimeout(() => {
+        const { items } = this.getMenuLevelItems(firstItem)
+        items[items.length - 1]?.focus()
+      }, 30)
+    }
+  }
+
+  /**
+   * Opens the popup from the keyboard and moves focus into it.
+   *
+   * @param {string} position - Either 'first' or 'last'.
+   */
+  openAndFocus(position) {
+    if (!this.isOpen()) {
+      if (!this.mobileMediaQuery.matches) {
+        this.closeAll('keyboard')
+      }
+      if (!this.openPopup('keyboard')) return
+    }
+
+    if (position === 'last') {
+      this.focusLastItem(this.buttonNode)
+    } else {
+      this.focusFirstItem(this.buttonNode)
+    }
+  }
+
   /**
    * Checks if the menu is open.
    *
@@ -1090,21 +2305,49 @@ class MenuButton extends MenuLinks {
   /**
    * Opens the popup menu.
    *
+   * @param {string} [trigger='api'] - What caused the menu to open.
+   * @returns {boolean} - False if a `menu:beforeopen` listener vetoed the change.
+   *
    * This method sets the 'aria-expanded' attribute of the button node to 'true',
-   * indicating that the associated popup menu is open.
+   * indicating that the associated popup menu is open, and announces the submenu when an announcer is set.
    */
-  openPopup() {
-    this.buttonNode.setAttribute('aria-expanded', 'true')
+  openPopup(trigger = 'api') {
+    const wasOpen = this.isOpen()
+    const opened = this.setExpanded(this.buttonNode, true, trigger)
+
+    if (opened && !wasOpen && this.announcer) {
+      this.announcer.announce('submenuOpen', {
+        label: this.buttonNode.textContent.trim(),
+        count: this.getSubmenuItemCount(),
+      })
+    }
+
+    return opened
+  }
+
+  /**
+   * Counts the items of the submenu, leaving out items of nested submenus.
+   *
+   * @returns {number} - The number of links and controllers directly in the submenu.
+   */
+  getSubmenuItemCount() {
+    if (!this.menuNode) return 0
+
+    const menuContainer = this.buttonNode.closest(this.config.menuSelector)
+    return this.menuitemNodes.filter(item => findOwningMenu(item, menuContainer).submenu === this.menuNode).length
   }
 
   /**
    * Closes the popup menu.
    *
+   * @param {string} [trigger='api'] - What caused the menu to close.
+   * @returns {boolean} - False if a `menu:beforeclose` listener vetoed the change.
+   *
    * This method sets the 'aria-expanded' attribute of the button node to 'false',
    * indicating that the associated popup menu is closed.
    */
-  closePopup() {
-    this.buttonNode.setAttribute('aria-expanded', 'false')
+  closePopup(trigger = 'api') {
+    return this.setExpanded(this.buttonNode, false, trigger)
   }
 
   /**
@@ -1112,8 +2355,10 @@ class MenuButton extends MenuLinks {
    * - If the menu is at the top level (depth 0), it closes all top-level buttons except for `this.buttonNode`.
    * - For nested menus, it closes only sibling buttons at the same level, preserving parent menu buttons that need to stay open for proper hierarchy.
    * This method is part of the menu management functionality, allowing for better accessibility and user experience by managing the expanded state of menu buttons.
+   *
+   * @param {string} [trigger='api'] - What caused the menus to close.
    */
-  closeAll() {
+  closeAll(trigger = 'api') {
     const menuContainer = this.buttonNode.closest(this.config.menuSelector)
 
     // Find the parent menu of this button to determine depth
@@ -1131,7 +2376,7 @@ class MenuButton extends MenuLinks {
 
       topLevelMenu.querySelectorAll(selector).forEach(controller => {
         if (controller !== this.buttonNode) {
-          controller.setAttribute('aria-expanded', 'false')
+          this.setExpanded(controller, false, trigger)
         }
       })
     } else {
@@ -1143,7 +2388,7 @@ class MenuButton extends MenuLinks {
         )
         siblingButtons.forEach(button => {
           if (button !== this.buttonNode) {
-            button.setAttribute('aria-expanded', 'false')
+            this.setExpanded(button, false, trigger)
           }
         })
 
@@ -1154,7 +2399,7 @@ class MenuButton extends MenuLinks {
         allDeeperButtons.forEach(button => {
           // Only close if it's not in our submenu hierarchy
           if (!this.menuNode) {
-            button.setAttribute('aria-expanded', 'false')
+            this.setExpanded(button, false, trigger)
           }
         })
       }
@@ -1174,12 +2419,12 @@ class MenuButton extends MenuLinks {
 
     // Only close on background click if not on mobile
     if (
-      !menuContainer.contains(event.target) &&
+      !isEventInside(event, menuContainer) &&
       this.isOpen() &&
       (!this.mobileMediaQuery || !this.mobileMediaQuery.matches)
     ) {
       this.buttonNode.focus()
-      this.closePopup()
+      this.closePopup('outside-click')
     }
   }
 }
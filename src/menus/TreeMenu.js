@@ -0,0 +1,431 @@
+import { Menubar } from './Menubar.js'
+import { AttributeSnapshot } from '../attribute-snapshot.js'
+import { getMobileMediaQuery } from '../media-query.js'
+import { setControllerExpanded } from '../menu-events.js'
+import { getElementById } from '../root-node.js'
+import { isRightToLeft, mirrorArrowKey } from '../text-direction.js'
+import { findTypeAheadMatch, isPrintableCharacter } from '../type-ahead.js'
+
+/**
+ * Defaults that differ from the Menubar configuration
+ */
+const TREE_DEFAULT_CONFIG = {
+  menuSelector: '.c-tree-menu',
+  hasMobile: false,
+}
+
+/**
+ * TreeMenu - Navigation tree following the WAI-ARIA treeview pattern
+ *
+ * Uses the same markup conventions as Menubar (menuSelector, itemClass, linkClass and
+ * controllers followed by their submenu) but exposes them as a tree with roving tabindex.
+ *
+ * @class TreeMenu
+ */
+export class TreeMenu extends Menubar {
+  /**
+   * Create a TreeMenu instance
+   * @param {Object} config - Configuration options, see Menubar. `menuSelector` defaults to `.c-tree-menu`.
+   */
+  constructor(config = {}) {
+    super({ ...TREE_DEFAULT_CONFIG, ...config })
+  }
+
+  /**
+   * Create the tree controller for a menu container
+   * @param {HTMLElement} menuContainer - The menu container
+   * @returns {TreeController} - The controller instance
+   */
+  createMenuController(menuContainer) {
+    return new TreeController(menuContainer, this.config, this.getSnapshot(menuContainer))
+  }
+}
+
+/**
+ * Tree Controller for keyboard navigation
+ * Applies tree roles and states to a menu container and handles all of its keyboard interaction
+ */
+class TreeController {
+  /**
+   * Create a TreeController instance
+   * @param {HTMLElement} menuContainer - The menu container element
+   * @param {Object} config - Configuration options
+   * @param {AttributeSnapshot} [snapshot] - Records attribute changes so destroy can undo them
+   */
+  constructor(menuContainer, config, snapshot = new AttributeSnapshot()) {
+    this.menuContainer = menuContainer
+    this.config = config
+    this.snapshot = snapshot
+    this.mobileBreakpoint = this.config.mobileBreakpoint
+    this.mobileMediaQuery = getMobileMediaQuery(this.config, this.menuContainer)
+    this.menuButtons = new Map()
+    this.mobileController = null
+
+    // Bind methods so the same references can be removed on destroy
+    this.onKeydown = this.onKeydown.bind(this)
+    this.onClick = this.onClick.bind(this)
+    this.onFocusin = this.onFocusin.bind(this)
+    this.onModeChange = this.onModeChange.bind(this)
+
+    this.mobileMediaQuery.addEventListener?.('change', this.onModeChange)
+
+    this.tree = this.menuContainer.querySelector('[data-depth="0"]')
+    if (!this.tree) return
+
+    this.initializeTree()
+
+    this.menuContainer.addEventListener('keydown', this.onKeydown)
+    this.menuContainer.addEventListener('click', this.onClick)
+    this.menuContainer.addEventListener('focusin', this.onFocusin)
+  }
+
+  /**
+   * Apply tree roles, levels, positions and the initial roving tabindex
+   */
+  initializeTree() {
+    const tabbableItem = this.getTreeItems().find(item => item.getAttribute('tabindex') === '0')
+    this.snapshot.set(this.tree, 'role', 'tree')
+
+    this.getTreeItems().forEach(item => {
+      const menuItem = item.closest(`.${this.config.itemClass}`)
+      const siblings = this.getSiblingItems(item)
+      const level = parseInt(item.closest('[data-depth]')?.getAttribute('data-depth') || 0) + 1
+
+      if (menuItem) {
+        this.snapshot.set(menuItem, 'role', 'none')
+      }
+      this.snapshot.set(item, 'role', 'treeitem')
+      this.snapshot.set(item, 'aria-level', level)
+      this.snapshot.set(item, 'aria-setsize', siblings.length)
+      this.snapshot.set(item, 'aria-posinset', siblings.indexOf(item) + 1)
+      this.snapshot.set(item, 'tabindex', '-1')
+
+      const group = this.getGroup(item)
+      if (group) {
+        // Tree items with children own their group rather than opening a popup
+        this.snapshot.remove(item, 'aria-haspopup')
+        this.snapshot.set(item, 'aria-owns', group.id)
+        this.snapshot.set(item, 'aria-expanded', item.getAttribute('aria-expanded') === 'true' ? 'true' : 'false')
+        this.snapshot.set(group, 'role', 'group')
+        this.snapshot.addClass(item, this.config.controllerClass)
+        if (!this.menuButtons.has(item)) {
+          this.menuButtons.set(item, new TreeBranch(item, this))
+        }
+      }
+    })
+
+    // Keep the roving tabindex where it was when items are added later
+    const firstItem = tabbableItem || this.getVisibleItems()[0]
+    if (firstItem) {
+      this.snapshot.set(firstItem, 'tabindex', '0')
+    }
+  }
+
+  /**
+   * Pick up items added to or removed from the tree
+   * Levels, positions and branches are recomputed, the tabbable item stays the same if it still exists.
+   */
+  refresh() {
+    this.menuButtons.forEach((branch, item) => {
+      if (!this.menuContainer.contains(item) || !this.getGroup(item)) {
+        this.menuButtons.delete(item)
+      }
+    })
+
+    this.initializeTree()
+  }
+
+  /**
+   * Get every tree item in document order
+   * @returns {HTMLElement[]} - All tree items, including collapsed ones
+   */
+  getTreeItems() {
+    return [...this.tree.querySelectorAll(`.${this.config.itemClass}`)]
+      .map(menuItem => [...menuItem.children].find(child => child.classList.contains(this.config.linkClass)))
+      .filter(Boolean)
+  }
+
+  /**
+   * Get the tree items that are not inside a collapsed group
+   * @returns {HTMLElement[]} - Visible tree items in document order
+   */
+  getVisibleItems() {
+    return this.getTreeItems().filter(item => {
+      let parent = this.getParentItem(item)
+      while (parent) {
+        if (parent.getAttribute('aria-expanded') !== 'true') return false
+        parent = this.getParentItem(parent)
+      }
+      return true
+    })
+  }
+
+  /**
+   * Get the tree items on the same level as an item
+   * @param {HTMLElement} item - The tree item
+   * @returns {HTMLElement[]} - The item and its siblings
+   */
+  getSiblingItems(item) {
+    const list = item.closest(`.${this.config.itemClass}`)?.parentElement
+    if (!list) return [item]
+
+    return [...list.children]
+      .map(menuItem => [...menuItem.children].find(child => child.classList.contains(this.config.linkClass)))
+      .filter(Boolean)
+  }
+
+  /**
+   * Get the group controlled by a tree item
+   * @param {HTMLElement} item - The tree item
+   * @returns {HTMLElement|null} - The group element or null for end nodes
+   */
+  getGroup(item) {
+    return getElementById(item, item.getAttribute('data-menu-controls'))
+  }
+
+  /**
+   * Get the tree item that owns the group an item is in
+   * @param {HTMLElement} item - The tree item
+   * @returns {HTMLElement|null} - The parent tree item or null at the top level
+   */
+  getParentItem(item) {
+    const list = item.closest(`.${this.config.itemClass}`)?.parentElement
+    if (!list || list === this.tree) return null
+
+    // Lists inside a wrapper (e.g. mega menu columns) belong to the wrapper's group
+    const group = list.id ? list : list.parentElement?.closest('[id]')
+    if (!group || !this.tree.contains(group)) return null
+
+    return this.menuContainer.querySelector(`[data-menu-controls="${group.id}"]`)
+  }
+
+  /**
+   * Move focus to a tree item and make it the only tabbable item
+   * @param {HTMLElement} item - The tree item to focus
+   */
+  focusItem(item) {
+    if (!item) return
+
+    this.setTabbable(item)
+    item.focus()
+  }
+
+  /**
+   * Update the roving tabindex so only the given item is tabbable
+   * @param {HTMLElement} item - The tree item
+   */
+  setTabbable(item) {
+    this.getTreeItems().forEach(treeItem => {
+      treeItem.setAttribute('tabindex', treeItem === item ? '0' : '-1')
+    })
+  }
+
+  /**
+   * Handles keydown events on tree items.
+   *
+   * @param {KeyboardEvent} event - The keydown event.
+   *
+   * - Down / Up: Moves to the next or previous visible item.
+   * - Right: Expands a collapsed item, or moves to the first child of an expanded item.
+   * - Left: Collapses an expanded item, or moves to the parent item.
+   * - Home / End: Moves to the first or last visible item.
+   * - Enter / Space: Toggles an item with children.
+   * - `*`: Expands all siblings of the current item.
+   * - Printable characters: Moves to the next visible item starting with the typed characters.
+   *
+   * Right and Left are mirrored in right-to-left trees.
+   */
+  onKeydown(event) {
+    const item = event.target
+    if (!this.getTreeItems().includes(item) || event.ctrlKey || event.altKey || event.metaKey) return
+
+    const branch = this.menuButtons.get(item)
+    const visibleItems = this.getVisibleItems()
+    const index = visibleItems.indexOf(item)
+    const rtl = isRightToLeft(this.menuContainer, this.config.direction)
+    let flag = true
+
+    switch (rtl ? mirrorArrowKey(event.key) : event.key) {
+      case 'Down':
+      case 'ArrowDown':
+        this.focusItem(visibleItems[index + 1])
+        break
+
+      case 'Up':
+      case 'ArrowUp':
+        this.focusItem(visibleItems[index - 1])
+        break
+
+      case 'Right':
+      case 'ArrowRight':
+        if (branch && !branch.isOpen()) {
+          branch.openPopup('keyboard')
+        } else if (branch) {
+          this.focusItem(visibleItems[index + 1])
+        }
+        break
+
+      case 'Left':
+      case 'ArrowLeft':
+        if (branch && branch.isOpen()) {
+          branch.closePopup('keyboard')
+        } else {
+          this.focusItem(this.getParentItem(item))
+        }
+        break
+
+      case 'Home':
+        this.focusItem(visibleItems[0])
+        break
+
+      case 'End':
+        this.focusItem(visibleItems[visibleItems.length - 1])
+        break
+
+      case 'Enter':
+      case ' ':
+        if (branch) {
+          branch.toggle('keyboard')
+        } else {
+          flag = false
+        }
+        break
+
+      case '*':
+        this.getSiblingItems(item).forEach(sibling => this.menuButtons.get(sibling)?.openPopup('keyboard'))
+        break
+
+      default:
+        flag = this.handleTypeAhead(event, visibleItems)
+        break
+    }
+
+    if (flag) {
+      event.preventDefault()
+    }
+  }
+
+  /**
+   * Handles printable characters for type-ahead navigation across visible items.
+   *
+   * @param {KeyboardEvent} event - The keydown event.
+   * @param {HTMLElement[]} visibleItems - The visible tree items.
+   * @returns {boolean} - True if focus moved to a matching item.
+   */
+  handleTypeAhead(event, visibleItems) {
+    if (!this.config.typeAhead || !isPrintableCharacter(event)) return false
+
+    const match = findTypeAheadMatch(this.tree, visibleItems, event.target, event.key, this.config.typeAheadTimeout)
+    this.focusItem(match)
+
+    return Boolean(match)
+  }
+
+  /**
+   * Handles click events on tree items with children, toggling their group.
+   *
+   * @param {MouseEvent} event - The click event.
+   */
+  onClick(event) {
+    const item = event.target.closest(`.${this.config.linkClass}`)
+    const branch = item ? this.menuButtons.get(item) : null
+    if (!branch) return
+
+    branch.toggle(event.detail === 0 ? 'keyboard' : 'click')
+    this.setTabbable(item)
+    event.preventDefault()
+  }
+
+  /**
+   * Keeps the roving tabindex on the last focused tree item.
+   *
+   * @param {FocusEvent} event - The focusin event.
+   */
+  onFocusin(event) {
+    if (this.getTreeItems().includes(event.target)) {
+      this.setTabbable(event.target)
+    }
+  }
+
+  /**
+   * Close the mobile menu when the viewport crosses the breakpoint
+   */
+  onModeChange() {
+    this.mobileController?.onModeChange()
+  }
+
+  /**
+   * Destroy the tree controller and clean up
+   */
+  destroy() {
+    this.menuContainer.removeEventListener('keydown', this.onKeydown)
+    this.menuContainer.removeEventListener('click', this.onClick)
+    this.menuContainer.removeEventListener('focusin', this.onFocusin)
+    this.mobileMediaQuery.removeEventListener?.('change', this.onModeChange)
+    this.menuButtons.clear()
+
+    if (this.mobileController) {
+      this.mobileController.destroy()
+      this.mobileController = null
+    }
+  }
+}
+
+/**
+ * A tree item with children
+ * Exposes the same open/close interface as MenuButton so Menubar's programmatic API works for trees.
+ */
+class TreeBranch {
+  /**
+   * Create a TreeBranch instance
+   * @param {HTMLElement} buttonNode - The tree item that owns a group
+   * @param {TreeController} treeController - The tree controller
+   */
+  constructor(buttonNode, treeController) {
+    this.buttonNode = buttonNode
+    this.treeController = treeController
+    this.mobileMediaQuery = treeController.mobileMediaQuery
+  }
+
+  /**
+   * Checks if the group is expanded.
+   * @returns {boolean} - True if expanded
+   */
+  isOpen() {
+    return this.buttonNode.getAttribute('aria-expanded') === 'true'
+  }
+
+  /**
+   * Expands the group.
+   * @param {string} [trigger='api'] - What caused the change
+   * @returns {boolean} - False if a `menu:beforeopen` listener vetoed the change
+   */
+  openPopup(trigger = 'api') {
+    return setControllerExpanded(this.buttonNode, true, { menuContainer: this.treeController.menuContainer, trigger })
+  }
+
+  /**
+   * Collapses the group.
+   * @param {string} [trigger='api'] - What caused the change
+   * @returns {boolean} - False if a `menu:beforeclose` listener vetoed the change
+   */
+  closePopup(trigger = 'api') {
+    return setControllerExpanded(this.buttonNode, false, { menuContainer: this.treeController.menuContainer, trigger })
+  }
+
+  /**
+   * Expands a collapsed group or collapses an expanded one.
+   * @param {string} [trigger='api'] - What caused the change
+   * @returns {boolean} - True if the requested state change happened
+   */
+  toggle(trigger = 'api') {
+    return this.isOpen() ? this.closePopup(trigger) : this.openPopup(trigger)
+  }
+
+  /**
+   * Tree groups expand independently, so opening one never closes its siblings.
+   */
+  closeAll() {}
+}
+
+export default TreeMenu
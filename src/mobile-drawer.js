@@ -0,0 +1,200 @@
+/**
+ * @file
+ * Off-canvas drawer for mobile menus
+ *
+ * While the mobile menu is open, the container is a modal dialog sliding in from the left,
+ * right or top, with a backdrop behind it. The toggle is hidden from assistive technology by
+ * `aria-modal`, so a close button is added inside the drawer. The close button, clicking the
+ * backdrop or swiping the drawer back towards its edge asks the mobile menu controller to
+ * close. The backdrop, the close button and the dialog attributes only exist while the drawer is open. The drawer scrolls vertically, so a top drawer
+ * whose content overflows is only swiped closed from the backdrop.
+ */
+
+import { AttributeSnapshot } from './attribute-snapshot.js'
+import { formatMessage } from './announcer.js'
+
+/**
+ * Pixels a pointer has to travel towards the drawer's edge to close it
+ */
+const SWIPE_DISTANCE = 50
+
+/**
+ * The direction a swipe has to go to close the drawer, per placement
+ */
+const CLOSE_DIRECTIONS = {
+  left: { axis: 'x', sign: -1 },
+  right: { axis: 'x', sign: 1 },
+  top: { axis: 'y', sign: -1 },
+}
+
+/**
+ * Default label of the close button, overridable through the `messages` option
+ */
+export const DRAWER_MESSAGES = {
+  drawerClose: 'Close menu',
+}
+
+/**
+ * MobileDrawer - Presents the mobile menu as an off-canvas dialog with a backdrop
+ */
+export class MobileDrawer {
+  /**
+   * Create a MobileDrawer instance
+   * @param {HTMLElement} menuContainer - The menu container element
+   * @param {Object} config - Configuration options
+   * @param {AttributeSnapshot} snapshot - The menu snapshot, used for the attributes that stay while closed
+   * @param {Function} requestClose - Called with the trigger ('click', 'outside-click' or 'swipe') when the drawer should close
+   */
+  constructor(menuContainer, config, snapshot, requestClose) {
+    this.menuContainer = menuContainer
+    this.config = config
+    this.placement = CLOSE_DIRECTIONS[config.drawerPlacement] ? config.drawerPlacement : 'left'
+    this.requestClose = requestClose
+    this.messages = { ...DRAWER_MESSAGES, ...config.messages }
+    this.openSnapshot = new AttributeSnapshot()
+    this.backdrop = null
+    this.closeButton = null
+    this.swipeStart = null
+
+    this.onBackdropClick = this.onBackdropClick.bind(this)
+    this.onCloseClick = this.onCloseClick.bind(this)
+    this.onPointerDown = this.onPointerDown.bind(this)
+    this.onPointerUp = this.onPointerUp.bind(this)
+    this.onPointerCancel = this.onPointerCancel.bind(this)
+
+    snapshot.set(menuContainer, 'data-mobile-mode', 'drawer')
+    snapshot.set(menuContainer, 'data-drawer-placement', this.placement)
+  }
+
+  /**
+   * Show the backdrop and make the container a modal dialog
+   * @param {HTMLElement} toggle - The toggle button, its text labels the dialog when the container has no label
+   */
+  open(toggle) {
+    if (this.backdrop) return
+
+    const { menuContainer, openSnapshot } = this
+    openSnapshot.set(menuContainer, 'role', 'dialog')
+    openSnapshot.set(menuContainer, 'aria-modal', 'true')
+    if (!menuContainer.hasAttribute('aria-label') && !menuContainer.hasAttribute('aria-labelledby')) {
+      openSnapshot.set(menuContainer, 'aria-label', toggle.textContent.trim())
+    }
+
+    // After the container, so the toggle + container sibling selectors keep matching
+    this.backdrop = menuContainer.ownerDocument.createElement('div')
+    this.backdrop.className = 'c-menu-backdrop'
+    this.backdrop.setAttribute('aria-hidden', 'true')
+    this.backdrop.setAttribute('data-drawer-placement', this.placement)
+    this.backdrop.addEventListener('click', this.onBackdropClick)
+    this.backdrop.addEventListener('pointerdown', this.onPointerDown)
+    menuContainer.after(this.backdrop)
+
+    this.closeButton = menuContainer.ownerDocument.createElement('button')
+    this.closeButton.type = 'button'
+    this.closeButton.className = 'c-menu-drawer__close'
+    this.closeButton.textContent = formatMessage(this.messages.drawerClose, { label: toggle.textContent.trim() })
+    this.closeButton.addEventListener('click', this.onCloseClick)
+    menuContainer.prepend(this.closeButton)
+
+    menuContainer.addEventListener('pointerdown', this.onPointerDown)
+  }
+
+  /**
+   * Remove the backdrop and the dialog attributes
+   */
+  close() {
+    this.openSnapshot.restore()
+    this.backdrop?.removeEventListener('pointerdown', this.onPointerDown)
+    this.backdrop?.remove()
+    this.backdrop = null
+    this.closeButton?.remove()
+    this.closeButton = null
+
+    this.menuContainer.removeEventListener('pointerdown', this.onPointerDown)
+    this.endSwipe()
+  }
+
+  /**
+   * Close the drawer when the backdrop is clicked
+   */
+  onBackdropClick() {
+    this.requestClose('outside-click')
+  }
+
+  /**
+   * Close the drawer with its close button
+   */
+  onCloseClick() {
+    this.requestClose('click')
+  }
+
+  /**
+   * Remember where a swipe started
+   * The end of the swipe is listened for on the document, as the pointer usually leaves the drawer.
+   * @param {PointerEvent} event - The pointer event
+   */
+  onPointerDown(event) {
+    if (event.isPrimary === false) return
+
+    // Upwards swipes in a top drawer with overflow scroll it, there only the backdrop starts a swipe
+    const { axis } = CLOSE_DIRECTIONS[this.placement]
+    const { menuContainer } = this
+    if (
+      axis === 'y' &&
+      event.currentTarget === menuContainer &&
+      menuContainer.scrollHeight > menuContainer.clientHeight
+    ) {
+      return
+    }
+
+    this.endSwipe()
+    this.swipeStart = { x: event.clientX, y: event.clientY }
+
+    const { ownerDocument } = menuContainer
+    ownerDocument.addEventListener('pointerup', this.onPointerUp)
+    ownerDocument.addEventListener('pointercancel', this.onPointerCancel)
+  }
+
+  /**
+   * Close the drawer when the pointer moved far enough towards the drawer's edge
+   * Movement along the other axis has to be smaller, so scrolling the menu doesn't close it.
+   * @param {PointerEvent} event - The pointer event
+   */
+  onPointerUp(event) {
+    if (!this.swipeStart) return
+
+    const { axis, sign } = CLOSE_DIRECTIONS[this.placement]
+    const delta = { x: event.clientX - this.swipeStart.x, y: event.clientY - this.swipeStart.y }
+    const crossDelta = axis === 'x' ? delta.y : delta.x
+    this.endSwipe()
+
+    if (delta[axis] * sign >= SWIPE_DISTANCE && Math.abs(crossDelta) < Math.abs(delta[axis])) {
+      this.requestClose('swipe')
+    }
+  }
+
+  /**
+   * Forget the swipe when the browser takes over the pointer, e.g. to scroll
+   */
+  onPointerCancel() {
+    this.endSwipe()
+  }
+
+  /**
+   * Forget the swipe and stop listening for its end
+   */
+  endSwipe() {
+    this.swipeStart = null
+
+    const { ownerDocument } = this.menuContainer
+    ownerDocument.removeEventListener('pointerup', this.onPointerUp)
+    ownerDocument.removeEventListener('pointercancel', this.onPointerCancel)
+  }
+
+  /**
+   * Close the drawer and remove its listeners
+   */
+  destroy() {
+    this.close()
+  }
+}
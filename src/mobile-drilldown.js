@@ -0,0 +1,231 @@
+/**
+ * @file
+ * Drill-down navigation for mobile menus
+ *
+ * Instead of expanding inline, an opened submenu takes the place of the panel it was
+ * opened from: everything around it is hidden and a "Back to {parent}" button and a
+ * heading naming the submenu are added at its top. Going back, with the button or
+ * Escape, closes the submenu and returns focus to the controller that opened it.
+ */
+
+import { AttributeSnapshot } from './attribute-snapshot.js'
+import { formatMessage } from './announcer.js'
+import { MENU_EVENTS, setControllerExpanded } from './menu-events.js'
+import { getElementById } from './root-node.js'
+
+/**
+ * Default labels of the injected back button, overridable through the `messages` option
+ */
+export const DRILLDOWN_MESSAGES = {
+  drilldownBack: 'Back to {label}',
+  drilldownRoot: 'Main menu',
+}
+
+/**
+ * MobileDrilldown - Shows one submenu panel at a time in the mobile menu
+ */
+export class MobileDrilldown {
+  /**
+   * Create a MobileDrilldown instance
+   * @param {HTMLElement} menuContainer - The menu container element
+   * @param {Object} config - Configuration options
+   * @param {MediaQueryList} mobileMediaQuery - Drill-down only applies while this query matches
+   */
+  constructor(menuContainer, config, mobileMediaQuery) {
+    this.menuContainer = menuContainer
+    this.config = config
+    this.mobileMediaQuery = mobileMediaQuery
+    this.messages = { ...DRILLDOWN_MESSAGES, ...config.messages }
+    this.snapshot = new AttributeSnapshot()
+    this.panel = null
+    this.controller = null
+    this.header = null
+
+    this.onOpen = this.onOpen.bind(this)
+    this.onClose = this.onClose.bind(this)
+    this.onKeydown = this.onKeydown.bind(this)
+
+    this.menuContainer.addEventListener(MENU_EVENTS.open, this.onOpen)
+    this.menuContainer.addEventListener(MENU_EVENTS.close, this.onClose)
+    // Capture phase, so Escape goes back one panel before the menu's own handlers see it
+    this.menuContainer.addEventListener('keydown', this.onKeydown, true)
+  }
+
+  /**
+   * Remove the listeners and show the whole menu again
+   */
+  destroy() {
+    this.menuContainer.removeEventListener(MENU_EVENTS.open, this.onOpen)
+    this.menuContainer.removeEventListener(MENU_EVENTS.close, this.onClose)
+    this.menuContainer.removeEventListener('keydown', this.onKeydown, true)
+    this.show(null)
+  }
+
+  /**
+   * Check if the mobile layout is in use
+   * @returns {boolean} - True while the mobile media query matches
+   */
+  isActive() {
+    return Boolean(this.mobileMediaQuery?.matches)
+  }
+
+  /**
+   * Drill into a submenu when it opens
+   * @param {CustomEvent} event - The menu:open event
+   */
+  onOpen(event) {
+    const { submenu } = event.detail
+    if (!this.isActive() || !submenu) return
+
+    this.show(submenu)
+    this.focusFirstItem(submenu)
+  }
+
+  /**
+   * Go back to the parent panel when the shown submenu, or one of its ancestors, closes
+   * @param {CustomEvent} event - The menu:close event
+   */
+  onClose(event) {
+    const { controller, submenu } = event.detail
+    if (!this.panel || !submenu?.contains(this.panel)) return
+
+    this.show(this.getOpenParentPanel(controller))
+  }
+
+  /**
+   * Go back one panel on Escape
+   * @param {KeyboardEvent} event - The keyboard event
+   */
+  onKeydown(event) {
+    if (event.key !== 'Esc' && event.key !== 'Escape') return
+    if (!this.panel || !this.panel.contains(event.target)) return
+
+    event.preventDefault()
+    event.stopPropagation()
+    this.back('escape')
+  }
+
+  /**
+   * Close the shown submenu and focus the controller that opened it
+   * @param {string} trigger - What caused the change (click, escape)
+   */
+  back(trigger) {
+    const { controller } = this
+    if (!controller) return
+
+    if (setControllerExpanded(controller, false, { menuContainer: this.menuContainer, trigger })) {
+      controller.focus()
+    }
+  }
+
+  /**
+   * Find the panel a controller sits in, if that panel is open
+   * @param {HTMLElement} controller - The controller
+   * @returns {HTMLElement|null} - The open panel, or null for the top level
+   */
+  getOpenParentPanel(controller) {
+    for (let panel = controller.parentElement?.closest('[id]'); panel; panel = panel.parentElement?.closest('[id]')) {
+      if (!this.menuContainer.contains(panel) || panel === this.menuContainer) return null
+
+      const parentController = this.getController(panel)
+      if (parentController) {
+        return parentController.getAttribute('aria-expanded') === 'true' ? panel : null
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Find the controller of a panel
+   * @param {HTMLElement} panel - The submenu panel
+   * @returns {HTMLElement|null} - The controller, or null if the element is not a panel
+   */
+  getController(panel) {
+    return this.menuContainer.querySelector(`[aria-controls="${panel.id}"][data-menu-controls]`)
+  }
+
+  /**
+   * Show a single panel, hiding everything around it, or the whole menu when no panel is given
+   * @param {HTMLElement|null} panel - The submenu panel to show
+   */
+  show(panel) {
+    this.snapshot.restore()
+    this.header?.remove()
+    this.header = null
+    this.panel = null
+    this.controller = null
+
+    const controller = panel && this.getController(panel)
+    if (!controller) return
+
+    this.panel = panel
+    this.controller = controller
+
+    // Hide the siblings of the panel and of each of its ancestors, up to the top-level list
+    const topLevelMenu = this.menuContainer.querySelector('[data-depth="0"]')
+    for (let node = panel; node && node !== topLevelMenu && node !== this.menuContainer; node = node.parentElement) {
+      Array.from(node.parentElement?.children || []).forEach(sibling => {
+        if (sibling !== node) {
+          this.snapshot.set(sibling, 'hidden', '')
+        }
+      })
+    }
+
+    this.header = this.createHeader(panel, controller)
+    panel.prepend(this.header)
+  }
+
+  /**
+   * Build the back button and heading shown at the top of a panel
+   * List panels get a list item, so the list keeps only list items as children.
+   * @param {HTMLElement} panel - The submenu panel
+   * @param {HTMLElement} controller - The controller of the panel
+   * @returns {HTMLElement} - The header element
+   */
+  createHeader(panel, controller) {
+    const { ownerDocument } = panel
+    const header = ownerDocument.createElement(panel.tagName === 'UL' || panel.tagName === 'OL' ? 'li' : 'div')
+    header.className = 'c-menu-drilldown'
+    if (header.tagName === 'LI') {
+      header.setAttribute('role', 'none')
+    }
+
+    const parentPanel = this.getOpenParentPanel(controller)
+    const parentLabel = parentPanel
+      ? this.getController(parentPanel).textContent.trim()
+      : formatMessage(this.messages.drilldownRoot, { label: this.menuContainer.getAttribute('aria-label') || '' })
+
+    const backButton = ownerDocument.createElement('button')
+    backButton.type = 'button'
+    backButton.className = 'c-menu-drilldown__back'
+    backButton.textContent = formatMessage(this.messages.drilldownBack, { label: parentLabel })
+    backButton.addEventListener('click', () => this.back('click'))
+
+    const heading = ownerDocument.createElement('h2')
+    heading.className = 'c-menu-drilldown__heading'
+    heading.tabIndex = -1
+    heading.textContent = controller.textContent.trim()
+
+    // The panel is labelled by the heading while it is shown
+    const headingId = `${panel.id}-heading`
+    if (!getElementById(panel, headingId)) {
+      heading.id = headingId
+      this.snapshot.set(panel, 'aria-labelledby', headingId)
+    }
+
+    header.append(backButton, heading)
+    return header
+  }
+
+  /**
+   * Focus the first menu item of a panel, or its heading when it has none
+   * @param {HTMLElement} panel - The submenu panel
+   */
+  focusFirstItem(panel) {
+    const item = Array.from(panel.querySelectorAll(`.${this.config.linkClass}`)).find(link => !link.closest('[hidden]'))
+
+    const target = item || this.header?.querySelector('.c-menu-drilldown__heading')
+    target?.focus()
+  }
+}
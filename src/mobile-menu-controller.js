@@ -1,27 +1,56 @@
+import { AttributeSnapshot } from './attribute-snapshot.js'
+import { getMobileMediaQuery } from './media-query.js'
+import { MENU_EVENTS, dispatchMenuEvent, setControllerExpanded } from './menu-events.js'
+import { MobileDrawer } from './mobile-drawer.js'
+import { MobileDrilldown } from './mobile-drilldown.js'
+import { PageLock } from './page-lock.js'
+import { getElementById, getRoot, isEventInside, querySelectorInRoot } from './root-node.js'
+
+// Elements that can take part in the focus trap, leaving out ones only focused from script like the drill-down heading
+const FOCUSABLE_SELECTOR = 'a[href], button, input, select, textarea, [tabindex]:not([tabindex="-1"])'
+
+// The controller each toggle button belongs to, so one toggle never drives two menus
+const toggleOwners = new WeakMap()
+
 /**
  * MobileMenuController - Handles mobile menu functionality
  *
- * This class provides mobile menu controls for menus with data-mobile attributes.
- * It manages menu opening/closing, keyboard navigation, focus management, and
- * outside click handling for mobile breakpoints.
+ * This class provides mobile menu controls for a menu container that opts in with `data-mobile`,
+ * `data-mobile-toggle` or a toggle pointing at it. Several menus on one page can each have their own
+ * toggle. It manages menu opening/closing, keyboard navigation, focus management, and outside click
+ * handling for mobile breakpoints.
  */
 export class MobileMenuController {
   /**
    * Create a MobileMenuController instance
    * @param {HTMLElement} menuContainer - The menu container element
    * @param {Object} config - Configuration options
+   * @param {AttributeSnapshot} [snapshot] - Records attribute changes so they can be undone. When omitted,
+   *   the controller keeps its own and restores it on destroy.
+   * @param {Announcer|null} [announcer] - Announces when the mobile menu opens or closes
    */
-  constructor(menuContainer, config) {
+  constructor(menuContainer, config, snapshot, announcer = null) {
     this.menuContainer = menuContainer
     this.config = config
+    this.announcer = announcer
+    this.pageLock = new PageLock(menuContainer?.ownerDocument)
+    this.drilldown = null
+    this.drawer = null
+    this.ownsSnapshot = !snapshot
+    this.snapshot = snapshot || new AttributeSnapshot()
     this.linkClass = config.linkClass
     this.mobileControlId = config.mobileControlId || null
     this.mobileBreakpoint = config.mobileBreakpoint || null
-    this.mobileMediaQuery = config.mobileMediaQuery || null
+    this.mobileMediaQuery = null
+
+    // A drawer is a modal dialog: focus stays inside it and the page behind it is inert
+    this.trapFocus = Boolean(config.trapFocus || config.mobileMode === 'drawer')
+    this.inertContent = Boolean(config.inertContent || config.mobileMode === 'drawer')
 
     // Bind methods to maintain context
     this.handleEscape = this.handleEscape.bind(this)
     this.onWindowClick = this.onWindowClick.bind(this)
+    this.onTrapKeydown = this.onTrapKeydown.bind(this)
     this.mobileControl = this.mobileControl.bind(this)
 
     this.init()
@@ -36,26 +65,118 @@ export class MobileMenuController {
       return
     }
 
-    // Attach class for styles
-    this.mobileNavButton = document.getElementById(this.mobileControlId)
-    this.mobileNavButton?.classList.add('js-mobile-toggle')
-    this.menuContainer.classList.add('c-menu-mobile')
+    this.mobileNavButton = this.findToggle()
+    if (!this.mobileNavButton) return
+    toggleOwners.set(this.mobileNavButton, this)
 
-    if (!this.mobileNavButton) {
-      console.warn(`Mobile menu button with ID "${this.mobileControlId}" not found`)
-      return
+    // Attach classes for styles
+    this.snapshot.addClass(this.mobileNavButton, 'js-mobile-toggle')
+    this.snapshot.addClass(this.menuContainer, 'c-menu-mobile')
+
+    // Point the toggle at its menu
+    if (this.menuContainer.id && !this.mobileNavButton.hasAttribute('aria-controls')) {
+      this.snapshot.set(this.mobileNavButton, 'aria-controls', this.menuContainer.id)
     }
 
-    // Get mobile breakpoint from data attribute or config
-    this.mobileBreakpoint =
-      this.menuContainer.getAttribute(this.config.dataBreakpointAttribute)?.replace('#', '') ||
-      this.config.mobileBreakpoint
+    // The toggle and container state change while the menu is used, restore what the markup had on destroy
+    this.snapshot.record(this.mobileNavButton, 'aria-expanded')
+    this.snapshot.record(this.menuContainer, 'data-mobile-open')
+
+    // The query shared with the menu controller, or one resolved from the config and breakpoint attribute
+    this.mobileMediaQuery = getMobileMediaQuery(this.config, this.menuContainer)
+
+    // Submenus replace the current panel instead of expanding inline
+    if (this.config.mobileMode === 'drilldown') {
+      this.snapshot.set(this.menuContainer, 'data-mobile-mode', 'drilldown')
+      this.drilldown = new MobileDrilldown(this.menuContainer, this.config, this.mobileMediaQuery)
+    }
 
-    this.mobileMediaQuery = window.matchMedia(`(max-width: ${this.mobileBreakpoint}px)`)
+    // The menu slides in as an off-canvas dialog over a backdrop
+    if (this.config.mobileMode === 'drawer') {
+      this.drawer = new MobileDrawer(this.menuContainer, this.config, this.snapshot, trigger =>
+        this.closeMobile('', trigger),
+      )
+    }
 
     this.setupEventListeners()
   }
 
+  /**
+   * Find the toggle button of this menu
+   *
+   * Mobile behavior is opt-in. In order, the toggle is the element named by `data-mobile-toggle` or
+   * `data-mobile` on the container, an element whose `aria-controls` points at the container, or the
+   * `mobileControlId` element for containers with an empty `data-mobile` attribute. A toggle that already
+   * belongs to another menu is never shared.
+   * @returns {HTMLElement|null} - The toggle, or null if the menu has none
+   */
+  findToggle() {
+    const container = this.menuContainer
+    const toggle = this.findAssociatedToggle()
+    if (!toggle) return null
+
+    const owner = toggleOwners.get(toggle)
+    if (owner && owner !== this && owner.menuContainer !== container && owner.menuContainer.isConnected) {
+      console.warn('Mobile menu button already controls another menu')
+      return null
+    }
+
+    return toggle
+  }
+
+  /**
+   * Find the toggle the container asks for, through its attributes or the toggle's `aria-controls`
+   * @returns {HTMLElement|null} - The toggle, or null if the container has not opted in
+   */
+  findAssociatedToggle() {
+    const container = this.menuContainer
+    const mobile = container.getAttribute('data-mobile')
+    if (mobile === 'false') return null
+
+    // `data-mobile` may name the toggle itself, like `data-mobile-toggle`
+    const toggleId = container.getAttribute('data-mobile-toggle') || (mobile !== 'true' && mobile)
+    if (toggleId) return this.getToggleById(toggleId)
+
+    const controllingToggle = container.id && querySelectorInRoot(container, `[aria-controls="${container.id}"]`)
+    if (controllingToggle) return controllingToggle
+
+    if (mobile === null) return null
+
+    const toggle = this.getToggleById(this.mobileControlId)
+    return toggle && !this.isClaimedByOtherMenu(toggle) ? toggle : null
+  }
+
+  /**
+   * Look up a toggle by id, warning when it doesn't exist
+   * @param {string|null} id - The toggle id
+   * @returns {HTMLElement|null} - The toggle, or null if not found
+   */
+  getToggleById(id) {
+    if (!id) return null
+
+    const toggle = getElementById(this.menuContainer, id)
+    if (!toggle) {
+      console.warn(`Mobile menu button with ID "${id}" not found`)
+    }
+    return toggle
+  }
+
+  /**
+   * Check if a toggle belongs to another menu, through its `aria-controls` or that menu's `data-mobile-toggle`
+   * @param {HTMLElement} toggle - The toggle
+   * @returns {boolean} - True if another menu container claims the toggle
+   */
+  isClaimedByOtherMenu(toggle) {
+    const { menuContainer } = this
+    const controlled = getElementById(toggle, toggle.getAttribute('aria-controls'))
+    if (controlled && controlled !== menuContainer && !menuContainer.contains(controlled)) {
+      return Boolean(this.config.menuSelector && controlled.matches(this.config.menuSelector))
+    }
+
+    const claimingMenu = toggle.id && querySelectorInRoot(menuContainer, `[data-mobile-toggle="${toggle.id}"]`)
+    return Boolean(claimingMenu && claimingMenu !== menuContainer)
+  }
+
   /**
    * Set up event listeners for mobile menu functionality
    */
@@ -72,33 +193,81 @@ export class MobileMenuController {
   destroy() {
     if (this.mobileNavButton) {
       this.mobileNavButton.removeEventListener('click', this.mobileControl)
+      if (toggleOwners.get(this.mobileNavButton) === this) {
+        toggleOwners.delete(this.mobileNavButton)
+      }
     }
     window.removeEventListener('keydown', this.handleEscape)
     window.removeEventListener('click', this.onWindowClick)
+    window.removeEventListener('keydown', this.onTrapKeydown)
+    this.pageLock.unlock()
+    this.drilldown?.destroy()
+    this.drawer?.destroy()
+
+    if (this.ownsSnapshot) {
+      this.snapshot.restore()
+    }
+  }
+
+  /**
+   * Build the detail object for mobile menu events
+   * @param {string} trigger - What caused the change (click, keyboard, outside-click, escape, breakpoint, api)
+   * @returns {Object} - The event detail
+   */
+  getEventDetail(trigger) {
+    return {
+      controller: this.mobileNavButton,
+      submenu: this.menuContainer,
+      depth: 0,
+      trigger,
+    }
   }
 
   /**
    * Close the mobile menu and clean up
    * @param {string} [key] - The key that triggered the close (for focus management)
+   * @param {string} [trigger] - What caused the close, defaults to `escape` when a key is given
+   * @returns {boolean} - False if a `mobile:beforeclose` listener vetoed the change
    */
-  closeMobile(key = '') {
-    if (!this.mobileNavButton) return
+  closeMobile(key = '', trigger = key ? 'escape' : 'api') {
+    if (!this.mobileNavButton) return false
+
+    const detail = this.getEventDetail(trigger)
+    if (!dispatchMenuEvent(this.menuContainer, MENU_EVENTS.mobileBeforeClose, detail, true)) {
+      return false
+    }
 
     this.mobileNavButton.setAttribute('aria-expanded', 'false')
+    this.menuContainer.removeAttribute('data-mobile-open')
 
     // Close all dropdown sub-menus within the menu container
     const menuButtons = this.menuContainer.querySelectorAll(`button.${this.linkClass}`)
     menuButtons.forEach(button => {
-      button.setAttribute('aria-expanded', 'false')
+      setControllerExpanded(button, false, { menuContainer: this.menuContainer, trigger })
     })
 
-    // If escape key was pressed, set focus back to mobile nav button
-    if (key === 'Esc' || key === 'Escape') {
+    // If escape key was pressed, or focus was trapped in the menu, set focus back to mobile nav button.
+    // Clicking a drawer's backdrop leaves focus on the body, which counts as focus inside the dialog.
+    const { activeElement } = getRoot(this.menuContainer)
+    const hadFocus =
+      this.trapFocus &&
+      (this.menuContainer.contains(activeElement) ||
+        (this.drawer && (!activeElement || activeElement === this.menuContainer.ownerDocument.body)))
+    if (key === 'Esc' || key === 'Escape' || hadFocus) {
       this.mobileNavButton.focus()
     }
 
-    // Remove window click listener
+    // Remove window click and focus trap listeners
     window.removeEventListener('click', this.onWindowClick)
+    window.removeEventListener('keydown', this.onTrapKeydown)
+
+    // Make the page reachable and scrollable again
+    this.pageLock.unlock()
+    this.drawer?.close()
+
+    this.announce('mobileClose')
+    dispatchMenuEvent(this.menuContainer, MENU_EVENTS.mobileClose, detail)
+    return true
   }
 
   /**
@@ -109,22 +278,76 @@ export class MobileMenuController {
     if (!this.mobileNavButton) return
 
     const isMenuClosed = this.mobileNavButton.getAttribute('aria-expanded') === 'false'
+    const trigger = event.detail === 0 ? 'keyboard' : 'click'
 
     if (isMenuClosed) {
-      // Open menu
+      const detail = this.getEventDetail(trigger)
+      if (!dispatchMenuEvent(this.menuContainer, MENU_EVENTS.mobileBeforeOpen, detail, true)) {
+        return
+      }
+
+      // Open menu, the state attribute lets styles target the container wherever the toggle is
       this.mobileNavButton.setAttribute('aria-expanded', 'true')
+      this.menuContainer.setAttribute('data-mobile-open', '')
 
       // Prevent window click event from immediately closing menu
       event.stopPropagation()
 
       // Add window click listener to close menu when clicking outside
       window.addEventListener('click', this.onWindowClick)
+
+      if (this.trapFocus) {
+        window.addEventListener('keydown', this.onTrapKeydown)
+      }
+
+      // Hide and freeze the page behind the menu
+      this.pageLock.lock([this.menuContainer, this.mobileNavButton], {
+        inert: this.inertContent,
+        scroll: this.config.lockScroll,
+      })
+
+      // After the page lock, so the backdrop isn't made inert with the rest of the page
+      if (this.drawer) {
+        this.drawer.open(this.mobileNavButton)
+        this.getTrapItems()
+          .find(item => item !== this.drawer.closeButton)
+          ?.focus()
+      }
+
+      if (this.config.expandActiveTrail) {
+        this.expandActiveTrail(trigger)
+      }
+
+      this.announce('mobileOpen')
+      dispatchMenuEvent(this.menuContainer, MENU_EVENTS.mobileOpen, detail)
     } else {
       // Close menu
-      this.closeMobile()
+      this.closeMobile('', trigger)
     }
   }
 
+  /**
+   * Expand every controller on the path to the current page, outermost first
+   * @param {string} trigger - What caused the mobile menu to open
+   */
+  expandActiveTrail(trigger) {
+    this.menuContainer.querySelectorAll(`[data-menu-controls].${this.config.activeTrailClass}`).forEach(controller => {
+      setControllerExpanded(controller, true, { menuContainer: this.menuContainer, trigger })
+    })
+  }
+
+  /**
+   * Announce a mobile menu state change when an announcer is set
+   * The label is the accessible name of the menu container, falling back to the toggle text.
+   * @param {string} name - The message key, 'mobileOpen' or 'mobileClose'
+   */
+  announce(name) {
+    if (!this.announcer) return
+
+    const label = this.menuContainer.getAttribute('aria-label') || this.mobileNavButton.textContent.trim()
+    this.announcer.announce(name, { label })
+  }
+
   /**
    * Handle escape key presses to close mobile menu
    * @param {KeyboardEvent} e - The keyboard event
@@ -146,20 +369,93 @@ export class MobileMenuController {
     // Check if the current target is part of top-level menu links
     const isTargetTopLevelLink = Array.from(topLevelMenuLinks).includes(e.target)
 
+    // With a focus trap, escape closes the menu from any depth and from the toggle
+    const isTargetTrapped =
+      this.trapFocus && (isEventInside(e, this.menuContainer) || isEventInside(e, this.mobileNavButton))
+
     // Only close if the escape was pressed on a top-level menu link
-    if (isTargetTopLevelLink) {
+    if (isTargetTopLevelLink || isTargetTrapped) {
       this.closeMobile('Esc')
     }
   }
 
+  /**
+   * Get the elements Tab cycles through while the menu is open: the toggle, then the visible items
+   * A drawer is a modal dialog that leaves the toggle outside, its own close button takes the toggle's place.
+   * @returns {HTMLElement[]} - The focusable elements in tab order
+   */
+  getTrapItems() {
+    const items = Array.from(this.menuContainer.querySelectorAll(FOCUSABLE_SELECTOR)).filter(
+      item => !item.disabled && this.isItemVisible(item),
+    )
+
+    return this.drawer ? items : [this.mobileNavButton, ...items]
+  }
+
+  /**
+   * Check if an item of the menu can be reached, leaving out items of collapsed submenus
+   * @param {HTMLElement} item - The item
+   * @returns {boolean} - True if the item is visible
+   */
+  isItemVisible(item) {
+    if (item.closest('[hidden], [inert], [aria-hidden="true"]')) return false
+
+    let panel = item.parentElement?.closest('[id]')
+    while (panel && this.menuContainer.contains(panel) && panel !== this.menuContainer) {
+      const controller = this.menuContainer.querySelector(`[data-menu-controls="${panel.id}"]`)
+      if (controller && controller !== item && controller.getAttribute('aria-expanded') !== 'true') {
+        return false
+      }
+      panel = panel.parentElement?.closest('[id]')
+    }
+
+    if (typeof item.checkVisibility === 'function') {
+      return item.checkVisibility({ visibilityProperty: true })
+    }
+
+    return true
+  }
+
+  /**
+   * Keep Tab and Shift+Tab cycling between the toggle and the visible menu items
+   * @param {KeyboardEvent} event - The keyboard event
+   */
+  onTrapKeydown(event) {
+    if (event.key !== 'Tab' || !this.isOpen()) return
+
+    const items = this.getTrapItems()
+    const target = event.composedPath?.()[0] || event.target
+    const index = items.indexOf(target)
+
+    // Focus outside the trap comes back in at the first item, or at the last item with Shift+Tab
+    let nextIndex = event.shiftKey ? index - 1 : index + 1
+    if (index === -1) {
+      nextIndex = event.shiftKey ? items.length - 1 : 0
+    }
+
+    event.preventDefault()
+    items[(nextIndex + items.length) % items.length].focus()
+  }
+
+  /**
+   * Close the mobile menu when the viewport crosses the breakpoint
+   * Otherwise the toggle would stay expanded on desktop, where it is hidden, and lock the page.
+   * The menu controller that owns this controller calls it from its own media query listener.
+   */
+  onModeChange() {
+    if (this.isOpen()) {
+      this.closeMobile('', 'breakpoint')
+    }
+  }
+
   /**
    * Handle clicks outside the menu to close mobile menu
    * @param {Event} event - The click event
    */
   onWindowClick(event) {
     // Only close if we're in mobile viewport and click is outside menu container
-    if (this.mobileMediaQuery && this.mobileMediaQuery.matches && !this.menuContainer.contains(event.target)) {
-      this.closeMobile()
+    if (this.mobileMediaQuery && this.mobileMediaQuery.matches && !isEventInside(event, this.menuContainer)) {
+      this.closeMobile('', 'outside-click')
     }
   }
 
@@ -0,0 +1,120 @@
+/**
+ * @file
+ * Hide the page behind an open mobile menu from assistive technology and stop it scrolling
+ *
+ * Everything outside the kept elements is made `inert`, or `aria-hidden` in browsers
+ * without inert support. Body scroll is locked with `overflow: hidden` and the
+ * scrollbar width is added as padding so the layout doesn't jump. Every change goes
+ * through an AttributeSnapshot, so unlocking puts the markup back exactly.
+ */
+
+import { AttributeSnapshot } from './attribute-snapshot.js'
+
+// Elements that are never hidden: invisible anyway, or live regions that must keep announcing
+const SKIPPED_SELECTOR = 'script, style, template, link, meta, noscript, [aria-live]'
+
+/**
+ * Get the parent of a node, crossing from shadow roots to their host
+ * @param {Node} node - The node
+ * @returns {HTMLElement|null} - The parent element or shadow host
+ */
+function getParent(node) {
+  const parent = node.parentNode
+  return parent && parent.nodeType === Node.DOCUMENT_FRAGMENT_NODE ? parent.host || null : node.parentElement
+}
+
+/**
+ * PageLock - Makes the rest of the page inert and locks body scroll while a menu is open
+ */
+export class PageLock {
+  /**
+   * Create a PageLock instance
+   * @param {Document} [ownerDocument=document] - The document to lock
+   */
+  constructor(ownerDocument = document) {
+    this.ownerDocument = ownerDocument
+    this.snapshot = new AttributeSnapshot()
+    this.locked = false
+  }
+
+  /**
+   * Lock the page
+   * @param {HTMLElement[]} keep - Elements that stay reachable, e.g. the menu and its toggle
+   * @param {Object} options - What to lock
+   * @param {boolean} [options.inert=false] - Make everything outside the kept elements inert
+   * @param {boolean} [options.scroll=false] - Lock body scroll
+   */
+  lock(keep, { inert = false, scroll = false } = {}) {
+    if (this.locked) return
+    this.locked = true
+
+    if (inert) {
+      this.getOutsideElements(keep.filter(Boolean)).forEach(element => this.hide(element))
+    }
+    if (scroll) {
+      this.lockScroll()
+    }
+  }
+
+  /**
+   * Restore everything the lock changed
+   */
+  unlock() {
+    this.snapshot.restore()
+    this.locked = false
+  }
+
+  /**
+   * Find the elements to hide: the siblings of the kept elements and of each of their ancestors
+   * @param {HTMLElement[]} keep - Elements that stay reachable
+   * @returns {HTMLElement[]} - Elements that contain none of the kept elements
+   */
+  getOutsideElements(keep) {
+    const { body } = this.ownerDocument
+    const keptPath = new Set()
+
+    keep.forEach(element => {
+      for (let node = element; node && node !== body; node = getParent(node)) {
+        keptPath.add(node)
+      }
+    })
+
+    const outside = new Set()
+    keptPath.forEach(node => {
+      Array.from(node.parentNode?.children || []).forEach(sibling => {
+        if (!keptPath.has(sibling) && !sibling.matches(SKIPPED_SELECTOR)) {
+          outside.add(sibling)
+        }
+      })
+    })
+
+    return [...outside]
+  }
+
+  /**
+   * Hide an element from assistive technology and keyboard focus
+   * @param {HTMLElement} element - The element to hide
+   */
+  hide(element) {
+    if ('inert' in element) {
+      this.snapshot.set(element, 'inert', '')
+    } else {
+      this.snapshot.set(element, 'aria-hidden', 'true')
+    }
+  }
+
+  /**
+   * Stop the body scrolling, adding the scrollbar width as padding so the content doesn't shift
+   */
+  lockScroll() {
+    const { body, documentElement, defaultView } = this.ownerDocument
+    const scrollbarWidth = (defaultView?.innerWidth || 0) - documentElement.clientWidth
+
+    this.snapshot.record(body, 'style')
+    if (scrollbarWidth > 0) {
+      const padding = parseFloat(defaultView.getComputedStyle(body).paddingRight) || 0
+      body.style.paddingRight = `${padding + scrollbarWidth}px`
+    }
+    body.style.overflow = 'hidden'
+  }
+}
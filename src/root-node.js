@@ -0,0 +1,52 @@
+/**
+ * @file
+ * Look up elements in the root node a menu lives in
+ *
+ * Menus rendered inside a shadow root can't be reached through `document`, so ids
+ * are resolved through `getRootNode()` instead. Events from inside a shadow root are
+ * retargeted to the host once they reach the document, so outside click checks use
+ * the composed path.
+ */
+
+/**
+ * Get the document or shadow root an element belongs to
+ * @param {Node} [node] - The element
+ * @returns {Document|ShadowRoot} - The root, `document` for detached elements
+ */
+export function getRoot(node) {
+  const root = node?.getRootNode?.()
+
+  return root && typeof root.getElementById === 'function' ? root : document
+}
+
+/**
+ * Find an element by id in the root node of another element
+ * @param {Node} node - An element in the same root
+ * @param {string|null} id - The id to look up
+ * @returns {HTMLElement|null} - The element, or null if not found
+ */
+export function getElementById(node, id) {
+  return id ? getRoot(node).getElementById(id) : null
+}
+
+/**
+ * Find the first element matching a selector in the root node of another element
+ * @param {Node} node - An element in the same root
+ * @param {string} selector - The CSS selector
+ * @returns {HTMLElement|null} - The element, or null if not found
+ */
+export function querySelectorInRoot(node, selector) {
+  return getRoot(node).querySelector(selector)
+}
+
+/**
+ * Check if an event started inside an element, including elements inside shadow roots
+ * @param {Event} event - The event
+ * @param {HTMLElement} element - The element
+ * @returns {boolean} - True if the event target is the element or one of its descendants
+ */
+export function isEventInside(event, element) {
+  const path = event.composedPath?.() || []
+
+  return path.length > 0 ? path.includes(element) : element.contains(event.target)
+}
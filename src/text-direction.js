@@ -0,0 +1,40 @@
+/**
+ * @file
+ * Text direction helpers for mirroring horizontal arrow keys in right-to-left layouts
+ *
+ * Key handlers are written for left-to-right layouts. In right-to-left layouts the
+ * Left and Right keys are swapped before they are handled, so "next" is always the
+ * item visually in the direction of the pressed arrow.
+ */
+
+const MIRRORED_KEYS = {
+  Left: 'Right',
+  ArrowLeft: 'ArrowRight',
+  Right: 'Left',
+  ArrowRight: 'ArrowLeft',
+}
+
+/**
+ * Check if an element is laid out right-to-left
+ * @param {HTMLElement} element - The menu container
+ * @param {string} [direction='auto'] - 'ltr' or 'rtl' to skip detection, 'auto' to use the computed direction or dir attribute
+ * @returns {boolean} - True for right-to-left layouts
+ */
+export function isRightToLeft(element, direction = 'auto') {
+  if (direction === 'rtl' || direction === 'ltr') {
+    return direction === 'rtl'
+  }
+  if (!element) return false
+
+  // The computed direction covers CSS and inherited dir, the attribute covers environments without layout
+  return window.getComputedStyle(element).direction === 'rtl' || element.closest('[dir]')?.dir === 'rtl'
+}
+
+/**
+ * Swap Left and Right arrow keys, leaving every other key alone
+ * @param {string} key - The pressed key
+ * @returns {string} - The mirrored key
+ */
+export function mirrorArrowKey(key) {
+  return MIRRORED_KEYS[key] || key
+}
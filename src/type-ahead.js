@@ -0,0 +1,87 @@
+/**
+ * @file
+ * Type-ahead character navigation for menu items
+ *
+ * Typed characters are collected in a buffer per menu level, so every item
+ * of the same level shares one search string until the timeout resets it.
+ */
+
+const buffers = new WeakMap()
+
+/**
+ * Normalize a label for case and diacritic insensitive comparison
+ * @param {string} text - The label text
+ * @returns {string} - The normalized label
+ */
+export function normalizeLabel(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .toLowerCase()
+}
+
+/**
+ * Check if a keyboard event should be handled as type-ahead input
+ * @param {KeyboardEvent} event - The keyboard event
+ * @returns {boolean} - True for single printable characters without modifier keys
+ */
+export function isPrintableCharacter(event) {
+  return event.key.length === 1 && !event.ctrlKey && !event.altKey && !event.metaKey
+}
+
+/**
+ * Add a character to the search buffer of a menu level
+ * @param {HTMLElement} scope - The menu level the buffer belongs to
+ * @param {string} character - The typed character
+ * @param {number} timeout - Milliseconds before the buffer resets
+ * @returns {string} - The normalized search string, empty if the character is ignored
+ */
+function appendToBuffer(scope, character, timeout) {
+  const buffer = buffers.get(scope) || { text: '', timer: null }
+
+  // A space only continues a search, it never starts one, so Space keeps activating items
+  if (character === ' ' && !buffer.text) {
+    return ''
+  }
+
+  clearTimeout(buffer.timer)
+  buffer.text += normalizeLabel(character) || character
+  buffer.timer = setTimeout(() => buffers.delete(scope), timeout)
+  buffers.set(scope, buffer)
+
+  return buffer.text
+}
+
+/**
+ * Find the item matching the characters typed so far
+ *
+ * A single character (or the same character repeated) cycles through items starting with it,
+ * beginning after the current item. Longer strings match from the current item onwards so
+ * focus stays put while the typed label still matches. The search wraps around.
+ *
+ * @param {HTMLElement} scope - The menu level being searched
+ * @param {HTMLElement[]} items - The visible items of that level
+ * @param {HTMLElement} current - The currently focused item
+ * @param {string} character - The typed character
+ * @param {number} [timeout=500] - Milliseconds before the typed characters reset
+ * @returns {HTMLElement|null} - The matching item or null
+ */
+export function findTypeAheadMatch(scope, items, current, character, timeout = 500) {
+  const search = appendToBuffer(scope, character, timeout)
+  if (!search || items.length === 0) return null
+
+  const isRepeatedCharacter = search.split('').every(char => char === search[0])
+  const query = isRepeatedCharacter ? search[0] : search
+  const currentIndex = items.indexOf(current)
+  const offset = isRepeatedCharacter ? 1 : 0
+
+  for (let i = 0; i < items.length; i++) {
+    const item = items[(currentIndex + offset + i + items.length) % items.length]
+    if (normalizeLabel(item.textContent).startsWith(query)) {
+      return item
+    }
+  }
+
+  return null
+}
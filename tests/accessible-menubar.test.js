@@ -0,0 +1,232 @@
+import { AccessibleMenubarElement, Menubar, defineAccessibleMenubar } from '../src/index.js'
+
+// Mock matchMedia
+Object.defineProperty(window, 'matchMedia', {
+  writable: true,
+  value: jest.fn().mockImplementation(query => ({
+    matches: false,
+    media: query,
+    onchange: null,
+    addListener: jest.fn(), // deprecated
+    removeListener: jest.fn(), // deprecated
+    addEventListener: jest.fn(),
+    removeEventListener: jest.fn(),
+    dispatchEvent: jest.fn(),
+  })),
+})
+
+const pressKey = (element, key) => {
+  const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true })
+  element.dispatchEvent(event)
+  return event
+}
+
+const menuMarkup = `
+  <button id="nav-toggle" aria-expanded="false">Menu</button>
+  <nav class="c-menu" data-mobile="">
+    <ul class="menu">
+      <li class="menu__item">
+        <a href="#home" class="menu__link">Home</a>
+      </li>
+      <li class="menu__item menu__item--expanded">
+        <button class="menu__link">About</button>
+        <ul class="menu">
+          <li class="menu__item">
+            <a href="#story" class="menu__link">Our Story</a>
+          </li>
+          <li class="menu__item">
+            <a href="#team" class="menu__link">Team</a>
+          </li>
+        </ul>
+      </li>
+    </ul>
+  </nav>
+`
+
+describe('AccessibleMenubarElement', () => {
+  let element
+
+  const getItem = (label, root = element) =>
+    [...root.querySelectorAll('.menu__link')].find(item => item.textContent.trim() === label)
+
+  const mount = async (attributes = '', root = document.body) => {
+    const template = document.createElement('template')
+    template.innerHTML = `<accessible-menubar ${attributes}>${menuMarkup}</accessible-menubar>`
+    root.append(template.content)
+    element = root.querySelector('accessible-menubar')
+    await element.ready
+    return element
+  }
+
+  afterEach(() => {
+    document.body.innerHTML = ''
+    jest.clearAllMocks()
+  })
+
+  describe('Registration', () => {
+    it('should register accessible-menubar on import', () => {
+      expect(customElements.get('accessible-menubar').prototype).toBeInstanceOf(AccessibleMenubarElement)
+    })
+
+    it('should register additional tag names', () => {
+      const MenuElement = defineAccessibleMenubar('site-menubar')
+
+      expect(document.createElement('site-menubar')).toBeInstanceOf(MenuElement)
+      expect(defineAccessibleMenubar('site-menubar')).toBe(MenuElement)
+    })
+  })
+
+  describe('Lifecycle', () => {
+    it('should initialize a Menubar when connected', async () => {
+      await mount()
+
+      expect(element.menubar).toBeInstanceOf(Menubar)
+      expect(getItem('About').getAttribute('aria-controls')).toBe(getItem('About').nextElementSibling.id)
+      expect(element.querySelector('#nav-toggle').classList.contains('js-mobile-toggle')).toBe(true)
+    })
+
+    it('should destroy the Menubar and restore the markup when disconnected', async () => {
+      await mount()
+      const about = getItem('About')
+
+      element.remove()
+
+      expect(element.menubar).toBeNull()
+      expect(element.innerHTML).toBe(menuMarkup)
+      about.click()
+      expect(about.hasAttribute('aria-expanded')).toBe(false)
+    })
+
+    it('should initialize again when moved', async () => {
+      await mount()
+      const container = document.createElement('div')
+      document.body.append(container)
+
+      container.append(element)
+      await element.ready
+
+      getItem('About').click()
+      expect(getItem('About').getAttribute('aria-expanded')).toBe('true')
+    })
+  })
+
+  describe('Configuration', () => {
+    it('should read the configuration from attributes', async () => {
+      await mount('has-mobile="false" orientation="vertical" apply-roles mobile-breakpoint="1024"')
+
+      expect(element.config).toEqual({
+        hasMobile: false,
+        orientation: 'vertical',
+        applyRoles: true,
+        mobileBreakpoint: 1024,
+      })
+      expect(element.querySelector('.c-menu').dataset.orientation).toBe('vertical')
+      expect(element.querySelector('[data-depth="0"]').getAttribute('role')).toBe('menubar')
+      expect(element.querySelector('#nav-toggle').classList.contains('js-mobile-toggle')).toBe(false)
+    })
+
+    it('should re-initialize when an attribute changes', async () => {
+      await mount('has-mobile="false"')
+      const menubar = element.menubar
+
+      element.setAttribute('apply-roles', '')
+      await element.ready
+
+      expect(element.menubar).not.toBe(menubar)
+      expect(getItem('Home').getAttribute('role')).toBe('menuitem')
+
+      element.setAttribute('apply-roles', 'false')
+      await element.ready
+
+      expect(getItem('Home').hasAttribute('role')).toBe(false)
+    })
+
+    it('should re-initialize once the pending initialization is done', async () => {
+      const template = document.createElement('template')
+      template.innerHTML = `<accessible-menubar>${menuMarkup}</accessible-menubar>`
+      document.body.append(template.content)
+      element = document.querySelector('accessible-menubar')
+      const menubar = element.menubar
+
+      element.setAttribute('apply-roles', '')
+      element.config = { announce: false }
+      expect(element.menubar).toBe(menubar)
+      await element.ready
+
+      expect(element.menubar).not.toBe(menubar)
+      expect(menubar.menuInstances.size).toBe(0)
+
+      const toggle = element.querySelector('#nav-toggle')
+      expect(getItem('Home').getAttribute('role')).toBe('menuitem')
+      toggle.click()
+      expect(toggle.getAttribute('aria-expanded')).toBe('true')
+    })
+
+    it('should accept options through the config property', async () => {
+      await mount('has-mobile="false"')
+      const idGenerator = jest.fn(() => 'custom')
+
+      element.config = { idGenerator }
+      await element.ready
+
+      expect(getItem('About').getAttribute('aria-controls')).toBe('panel-custom')
+    })
+  })
+
+  describe('Shadow DOM', () => {
+    let shadowRoot
+
+    beforeEach(async () => {
+      const host = document.createElement('div')
+      document.body.append(host)
+      shadowRoot = host.attachShadow({ mode: 'open' })
+      await mount('', shadowRoot)
+    })
+
+    it('should open submenus inside a shadow root', () => {
+      const about = getItem('About', shadowRoot)
+
+      about.click()
+
+      expect(about.getAttribute('aria-expanded')).toBe('true')
+      expect(shadowRoot.getElementById(about.getAttribute('aria-controls'))).toBe(about.nextElementSibling)
+    })
+
+    it('should return focus to the controller on Escape', () => {
+      const about = getItem('About', shadowRoot)
+      about.click()
+      getItem('Team', shadowRoot).focus()
+
+      pressKey(getItem('Team', shadowRoot), 'Escape')
+
+      expect(about.getAttribute('aria-expanded')).toBe('false')
+      expect(shadowRoot.activeElement).toBe(about)
+    })
+
+    it('should resolve ids for the programmatic API', () => {
+      const about = getItem('About', shadowRoot)
+
+      expect(element.menubar.open(about.getAttribute('aria-controls'))).toBe(true)
+      expect(about.getAttribute('aria-expanded')).toBe('true')
+    })
+
+    it('should only close on clicks outside the shadow root', () => {
+      const about = getItem('About', shadowRoot)
+      about.click()
+
+      getItem('Team', shadowRoot).dispatchEvent(new MouseEvent('mousedown', { bubbles: true, composed: true }))
+      expect(about.getAttribute('aria-expanded')).toBe('true')
+
+      document.body.dispatchEvent(new MouseEvent('mousedown', { bubbles: true, composed: true }))
+      expect(about.getAttribute('aria-expanded')).toBe('false')
+    })
+
+    it('should find the mobile toggle in the shadow root', () => {
+      const toggle = shadowRoot.getElementById('nav-toggle')
+
+      toggle.click()
+
+      expect(toggle.getAttribute('aria-expanded')).toBe('true')
+    })
+  })
+})
@@ -0,0 +1,333 @@
+import { DisclosureNav, MENU_EVENTS } from '../src/index.js'
+
+// Mock matchMedia
+Object.defineProperty(window, 'matchMedia', {
+  writable: true,
+  value: jest.fn().mockImplementation(query => ({
+    matches: false,
+    media: query,
+    onchange: null,
+    addListener: jest.fn(), // deprecated
+    removeListener: jest.fn(), // deprecated
+    addEventListener: jest.fn(),
+    removeEventListener: jest.fn(),
+    dispatchEvent: jest.fn(),
+  })),
+})
+
+const pressKey = (element, key) => {
+  const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true })
+  element.dispatchEvent(event)
+  return event
+}
+
+const moveFocus = (from, to) => {
+  from.dispatchEvent(new FocusEvent('focusout', { bubbles: true, relatedTarget: to }))
+  to.focus()
+}
+
+const markup = `
+  <button id="nav-toggle" aria-expanded="false">Menu</button>
+  <nav class="c-menu" aria-label="Main" data-mobile>
+    <ul class="menu">
+      <li class="menu__item">
+        <a href="#home" class="menu__link">Home</a>
+      </li>
+      <li class="menu__item">
+        <button class="menu__link">About</button>
+        <ul class="menu">
+          <li class="menu__item">
+            <a href="#story" class="menu__link">Our Story</a>
+          </li>
+          <li class="menu__item">
+            <a href="#team" class="menu__link">Team</a>
+          </li>
+        </ul>
+      </li>
+      <li class="menu__item">
+        <button class="menu__link">Services</button>
+        <ul class="menu">
+          <li class="menu__item">
+            <a href="#research" class="menu__link">Research</a>
+          </li>
+        </ul>
+      </li>
+    </ul>
+  </nav>
+  <a href="#after" id="after">After</a>
+`
+
+describe('DisclosureNav', () => {
+  let navContainer
+  let nav
+
+  const getItem = label =>
+    [...navContainer.querySelectorAll('.menu__link')].find(item => item.textContent.trim() === label)
+
+  const init = async (config = {}) => {
+    nav = new DisclosureNav(config)
+    await nav.init()
+  }
+
+  beforeEach(() => {
+    document.body.innerHTML = markup
+    navContainer = document.querySelector('.c-menu')
+  })
+
+  afterEach(() => {
+    nav?.destroyAll()
+    document.body.innerHTML = ''
+    jest.clearAllMocks()
+  })
+
+  describe('Initialization', () => {
+    it('should only manage aria-expanded and aria-controls on buttons', async () => {
+      await init()
+      const about = getItem('About')
+
+      expect(about.getAttribute('aria-expanded')).toBe('false')
+      expect(about.getAttribute('aria-controls')).toBe(about.nextElementSibling.id)
+      expect(about.hasAttribute('aria-haspopup')).toBe(false)
+      expect(about.hasAttribute('aria-label')).toBe(false)
+      expect(navContainer.querySelector('[role]')).toBeNull()
+    })
+
+    it('should keep the natural tab order', async () => {
+      await init()
+
+      expect(navContainer.querySelector('[tabindex]')).toBeNull()
+    })
+
+    it('should skip controllers that are not buttons', async () => {
+      navContainer
+        .querySelector('.menu')
+        .insertAdjacentHTML(
+          'beforeend',
+          '<li class="menu__item"><span class="menu__link">Mega</span><div><a href="#mega" class="menu__link">Mega Link</a></div></li>',
+        )
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {})
+      await init()
+
+      const mega = getItem('Mega')
+      expect(mega.hasAttribute('aria-controls')).toBe(false)
+      expect(mega.hasAttribute('aria-expanded')).toBe(false)
+      expect(warnSpy).toHaveBeenCalledWith('DisclosureNav only supports button controllers, "Mega" is skipped')
+      warnSpy.mockRestore()
+    })
+
+    it('should reuse the mobile menu controller', async () => {
+      await init()
+
+      expect(nav.menuInstances.get(navContainer).mobileController).toBeDefined()
+      expect(document.getElementById('nav-toggle').classList.contains('js-mobile-toggle')).toBe(true)
+    })
+  })
+
+  describe('Disclosure Behavior', () => {
+    it('should toggle a panel on click and close siblings', async () => {
+      await init()
+      const about = getItem('About')
+      const services = getItem('Services')
+
+      about.click()
+      expect(about.getAttribute('aria-expanded')).toBe('true')
+
+      services.click()
+      expect(services.getAttribute('aria-expanded')).toBe('true')
+      expect(about.getAttribute('aria-expanded')).toBe('false')
+
+      services.click()
+      expect(services.getAttribute('aria-expanded')).toBe('false')
+    })
+
+    it('should close when focus leaves the button and its panel', async () => {
+      await init()
+      const about = getItem('About')
+      about.click()
+
+      moveFocus(about, getItem('Team'))
+      expect(about.getAttribute('aria-expanded')).toBe('true')
+
+      moveFocus(getItem('Team'), document.getElementById('after'))
+      expect(about.getAttribute('aria-expanded')).toBe('false')
+    })
+
+    it('should report focusout as the trigger', async () => {
+      await init()
+      const about = getItem('About')
+      const listener = jest.fn()
+      navContainer.addEventListener(MENU_EVENTS.close, listener)
+      about.click()
+
+      moveFocus(about, getItem('Services'))
+
+      expect(listener.mock.calls[0][0].detail.trigger).toBe('focusout')
+    })
+
+    it('should close on Escape and return focus to the button', async () => {
+      await init()
+      const about = getItem('About')
+      about.click()
+      getItem('Team').focus()
+
+      pressKey(getItem('Team'), 'Escape')
+
+      expect(about.getAttribute('aria-expanded')).toBe('false')
+      expect(document.activeElement).toBe(about)
+    })
+
+    it('should only stop Escape when it closed a panel', async () => {
+      await init()
+      const windowListener = jest.fn()
+      window.addEventListener('keydown', windowListener)
+
+      pressKey(getItem('Home'), 'Escape')
+      expect(windowListener).toHaveBeenCalledTimes(1)
+
+      getItem('About').click()
+      pressKey(getItem('Team'), 'Escape')
+      expect(windowListener).toHaveBeenCalledTimes(1)
+      window.removeEventListener('keydown', windowListener)
+    })
+
+    it('should close on outside clicks', async () => {
+      await init()
+      const about = getItem('About')
+      about.click()
+
+      document.getElementById('after').click()
+
+      expect(about.getAttribute('aria-expanded')).toBe('false')
+    })
+
+    it('should support the programmatic API', async () => {
+      await init()
+
+      nav.open(getItem('Services'))
+      expect(getItem('Services').getAttribute('aria-expanded')).toBe('true')
+
+      nav.closeAll()
+      expect(getItem('Services').getAttribute('aria-expanded')).toBe('false')
+    })
+  })
+
+  describe('Arrow Keys', () => {
+    it('should leave arrow keys alone by default', async () => {
+      await init()
+      const home = getItem('Home')
+      home.focus()
+
+      expect(pressKey(home, 'ArrowRight').defaultPrevented).toBe(false)
+      expect(document.activeElement).toBe(home)
+    })
+
+    it('should move between top-level items', async () => {
+      await init({ arrowKeys: true })
+      const home = getItem('Home')
+      home.focus()
+
+      pressKey(home, 'ArrowRight')
+      expect(document.activeElement).toBe(getItem('About'))
+
+      pressKey(getItem('About'), 'End')
+      expect(document.activeElement).toBe(getItem('Services'))
+
+      pressKey(getItem('Services'), 'ArrowLeft')
+      expect(document.activeElement).toBe(getItem('About'))
+    })
+
+    it('should move into an open panel and between its links', async () => {
+      await init({ arrowKeys: true })
+      const about = getItem('About')
+      about.click()
+      about.focus()
+
+      pressKey(about, 'ArrowDown')
+      expect(document.activeElement).toBe(getItem('Our Story'))
+
+      pressKey(getItem('Our Story'), 'ArrowDown')
+      expect(document.activeElement).toBe(getItem('Team'))
+
+      pressKey(getItem('Team'), 'ArrowUp')
+      expect(document.activeElement).toBe(getItem('Our Story'))
+    })
+  })
+
+  describe('Mobile Escape', () => {
+    let desktopQuery
+    let toggle
+
+    beforeEach(async () => {
+      desktopQuery = window.matchMedia.getMockImplementation()
+      window.matchMedia.mockImplementation(query => ({ ...desktopQuery(query), matches: true }))
+      await init()
+      toggle = document.getElementById('nav-toggle')
+      toggle.click()
+    })
+
+    afterEach(() => {
+      window.matchMedia.mockImplementation(desktopQuery)
+    })
+
+    it('should let Escape reach the mobile menu when no panel is open', () => {
+      const home = getItem('Home')
+      home.focus()
+
+      pressKey(home, 'Escape')
+
+      expect(toggle.getAttribute('aria-expanded')).toBe('false')
+    })
+
+    it('should close the open panel before the mobile menu', () => {
+      const about = getItem('About')
+      about.click()
+      getItem('Team').focus()
+
+      const event = pressKey(getItem('Team'), 'Escape')
+
+      expect(about.getAttribute('aria-expanded')).toBe('false')
+      expect(toggle.getAttribute('aria-expanded')).toBe('true')
+      expect(event.defaultPrevented).toBe(true)
+    })
+  })
+
+  describe('Breakpoint Changes', () => {
+    it('should close the mobile menu when switching to desktop', async () => {
+      const desktopQuery = window.matchMedia.getMockImplementation()
+      const listeners = new Set()
+      let mobile = true
+      window.matchMedia.mockImplementation(query => ({
+        ...desktopQuery(query),
+        get matches() {
+          return mobile
+        },
+        addEventListener: (type, listener) => listeners.add(listener),
+        removeEventListener: (type, listener) => listeners.delete(listener),
+      }))
+      await init()
+      const toggle = document.getElementById('nav-toggle')
+      toggle.click()
+
+      mobile = false
+      listeners.forEach(listener => listener({ matches: false }))
+
+      expect(toggle.getAttribute('aria-expanded')).toBe('false')
+      window.matchMedia.mockImplementation(desktopQuery)
+    })
+  })
+
+  describe('Teardown', () => {
+    it('should restore the original markup and remove listeners on destroy', async () => {
+      const before = document.body.innerHTML
+      await init()
+      const about = getItem('About')
+
+      nav.destroy(navContainer)
+
+      expect(document.body.innerHTML).toBe(before)
+
+      about.click()
+      expect(about.hasAttribute('aria-expanded')).toBe(false)
+    })
+  })
+})
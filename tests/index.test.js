@@ -26,7 +26,7 @@ describe('Menubar', () => {
     // Create a basic menu structure similar to examples/basic.html
     document.body.innerHTML = `
       <button id="mobile-toggle" aria-expanded="false">Menu</button>
-      <nav class="c-menu" data-breakpoint="768">
+      <nav class="c-menu" data-breakpoint="768" data-mobile>
         <ul class="menu">
           <li class="menu__item">
             <a href="#home" class="menu__link">Home</a>
@@ -357,146 +357,2314 @@ describe('Menubar', () => {
     })
   })
 
-  describe('Instance Management', () => {
-    it('should destroy specific menu instance', () => {
-      const menu = new Menubar()
-      menu.init()
+  describe('Mobile Focus Trap', () => {
+    let menu, mobileButton, desktopQuery
 
-      expect(menu.menuInstances.has(menuContainer)).toBe(true)
+    const getItem = label =>
+      [...menuContainer.querySelectorAll('.menu__link')].find(item => item.textContent.trim() === label)
+    const pressTab = (element, shiftKey = false) => {
+      const event = new KeyboardEvent('keydown', { key: 'Tab', shiftKey, bubbles: true, cancelable: true })
+      element.dispatchEvent(event)
+      return event
+    }
 
-      menu.destroy(menuContainer)
+    beforeEach(async () => {
+      // Submenus only close on Tab and stop Escape from propagating on desktop
+      desktopQuery = window.matchMedia.getMockImplementation()
+      window.matchMedia.mockImplementation(query => ({ ...desktopQuery(query), matches: true }))
 
-      expect(menu.menuInstances.has(menuContainer)).toBe(false)
+      menu = new Menubar({ mobileControlId: 'mobile-toggle', trapFocus: true })
+      await menu.init()
+      mobileButton = document.getElementById('mobile-toggle')
+      mobileButton.click()
+      mobileButton.focus()
     })
 
-    it('should destroy all menu instances', () => {
-      const menu = new Menubar()
-      menu.init()
+    afterEach(() => {
+      menu.destroyAll()
+      window.matchMedia.mockImplementation(desktopQuery)
+    })
 
-      // Add another menu
-      const secondMenu = document.createElement('nav')
-      secondMenu.className = 'c-menu'
-      document.body.appendChild(secondMenu)
-      menu.init() // Re-initialize to pick up new menu
+    it('should cycle Tab between the toggle and the visible items', () => {
+      pressTab(mobileButton)
+      expect(document.activeElement).toBe(getItem('Home'))
 
-      expect(menu.menuInstances.size).toBeGreaterThan(0)
+      pressTab(getItem('About'))
+      expect(document.activeElement).toBe(getItem('Services'))
+
+      pressTab(getItem('Contact'))
+      expect(document.activeElement).toBe(mobileButton)
+
+      pressTab(mobileButton, true)
+      expect(document.activeElement).toBe(getItem('Contact'))
+    })
+
+    it('should include items of expanded submenus only', () => {
+      getItem('About').click()
+
+      pressTab(getItem('About'))
+      expect(document.activeElement).toBe(getItem('Our Story'))
+
+      pressTab(getItem('History'))
+      expect(document.activeElement).toBe(getItem('Services'))
+    })
+
+    it('should leave Tab alone when the menu is closed', () => {
+      mobileButton.click()
+
+      expect(pressTab(mobileButton).defaultPrevented).toBe(false)
+    })
+
+    it('should close on Escape from any depth and focus the toggle', () => {
+      getItem('Services').click()
+      getItem('Nested Services').click()
+      getItem('Web Design').focus()
 
+      getItem('Web Design').dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }))
+
+      expect(mobileButton.getAttribute('aria-expanded')).toBe('false')
+      expect(getItem('Services').getAttribute('aria-expanded')).toBe('false')
+      expect(document.activeElement).toBe(mobileButton)
+    })
+
+    it('should return focus to the toggle when closing with focus inside', () => {
+      getItem('Contact').focus()
+
+      menu.menuInstances.get(menuContainer).mobileController.closeMobile()
+
+      expect(document.activeElement).toBe(mobileButton)
+    })
+
+    it('should only close on Escape from top-level items without the trap', async () => {
       menu.destroyAll()
+      menu = new Menubar({ mobileControlId: 'mobile-toggle' })
+      await menu.init()
+      mobileButton.click()
+      getItem('About').click()
 
-      expect(menu.menuInstances.size).toBe(0)
+      getItem('Team').dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }))
+
+      expect(mobileButton.getAttribute('aria-expanded')).toBe('true')
     })
   })
 
-  describe('Complex Menu Structure Tests', () => {
+  describe('Mobile Page Lock', () => {
+    let mobileButton
+
+    const isHidden = element => element.hasAttribute('inert') || element.getAttribute('aria-hidden') === 'true'
+    const init = async config => {
+      const menu = new Menubar({ mobileControlId: 'mobile-toggle', ...config })
+      await menu.init()
+      mobileButton = document.getElementById('mobile-toggle')
+      return menu
+    }
+
     beforeEach(() => {
-      // Create a more complex test menu structure for edge cases
-      document.body.innerHTML = `
-        <button id="nav-toggle" aria-expanded="false">Mobile Menu</button>
-        <nav class="c-menu" data-breakpoint="768">
-          <ul class="menu">
-            <li class="menu__item">
-              <a class="menu__link" href="#">Simple Link</a>
-            </li>
-            <li class="menu__item">
-              <button class="menu__link">Menu Button</button>
-              <ul class="menu">
-                <li class="menu__item">
-                  <a class="menu__link" href="#" >Subitem 1</a>
-                </li>
-                <li class="menu__item">
-                  <button class="menu__link">Sub Button</button>
-                  <ul class="menu">
-                    <li class="menu__item">
-                      <a class="menu__link" href="#">Deep Item</a>
-                    </li>
-                    <li class="menu__item">
-                      <a class="menu__link" href="#">Deep Item</a>
-                    </li>
-                  </ul>
-                </li>
-              </ul>
-            </li>
-            <li class="menu__item menu__item--expanded">
-              <span class="menu__link">Mega Menu</span>
-              <div class="menu">
-                <div class="c-mega-menu__wrapper">
-                  <a class="menu__link" href="#">Mega Link</a>
-                </div>
-              </div>
-            </li>
-          </ul>
-        </nav>
-      `
-      menuContainer = document.querySelector('.c-menu')
+      document.body.insertAdjacentHTML(
+        'beforeend',
+        '<main id="content"><a href="#top">Top</a></main><footer aria-hidden="false">Footer</footer><div aria-live="polite"></div>',
+      )
     })
 
-    it('should handle deeply nested menu structures', () => {
-      const menu = new Menubar()
-      menu.init()
+    afterEach(() => {
+      delete document.documentElement.clientWidth
+      document.body.removeAttribute('style')
+    })
 
-      const deepButtons = menuContainer.querySelectorAll('button')
-      expect(deepButtons.length).toBe(2) // Menu Button and Sub Button
+    it('should leave the page alone by default', async () => {
+      await init()
+      mobileButton.click()
 
-      deepButtons.forEach(button => {
-        expect(button.getAttribute('aria-haspopup')).toBe('true')
+      expect(document.querySelector('[inert], [aria-hidden="true"]')).toBeNull()
+      expect(document.body.hasAttribute('style')).toBe(false)
+    })
+
+    it('should make everything but the menu and toggle inert while open', async () => {
+      await init({ inertContent: true })
+      mobileButton.click()
+
+      expect(isHidden(document.getElementById('content'))).toBe(true)
+      expect(isHidden(document.querySelector('footer'))).toBe(true)
+      expect(isHidden(menuContainer)).toBe(false)
+      expect(isHidden(mobileButton)).toBe(false)
+      expect(isHidden(document.querySelector('[aria-live]'))).toBe(false)
+
+      mobileButton.click()
+
+      expect(document.getElementById('content').hasAttribute('inert')).toBe(false)
+      expect(document.getElementById('content').hasAttribute('aria-hidden')).toBe(false)
+      expect(document.querySelector('footer').getAttribute('aria-hidden')).toBe('false')
+    })
+
+    it('should hide the siblings of the menu inside its landmark', async () => {
+      const header = document.createElement('header')
+      header.innerHTML = '<a href="/" class="logo">Logo</a>'
+      menuContainer.before(header)
+      header.append(mobileButton, menuContainer)
+      await init({ inertContent: true })
+
+      mobileButton.click()
+
+      expect(isHidden(header)).toBe(false)
+      expect(isHidden(header.querySelector('.logo'))).toBe(true)
+    })
+
+    it('should lock scroll and compensate the scrollbar width', async () => {
+      Object.defineProperty(document.documentElement, 'clientWidth', {
+        value: window.innerWidth - 15,
+        configurable: true,
       })
+      document.body.setAttribute('style', 'padding-right: 10px')
+      await init({ lockScroll: true })
+
+      mobileButton.click()
+
+      expect(document.body.style.overflow).toBe('hidden')
+      expect(document.body.style.paddingRight).toBe('25px')
+
+      mobileButton.click()
+
+      expect(document.body.getAttribute('style')).toBe('padding-right: 10px')
     })
 
-    it('should handle span elements with submenus', () => {
-      const menu = new Menubar()
-      menu.init()
+    it('should restore the page when destroyed while open', async () => {
+      const menu = await init({ inertContent: true, lockScroll: true })
+      mobileButton.click()
 
-      const span = menuContainer.querySelector('span')
-      if (span && span.nextElementSibling) {
-        const submenu = span.nextElementSibling
-        expect(span.getAttribute('data-menu-controls')).toBeTruthy()
-        expect(submenu.getAttribute('id')).toBeTruthy()
-      }
+      menu.destroyAll()
+
+      expect(document.querySelector('[inert], [aria-hidden="true"]')).toBeNull()
+      expect(document.body.hasAttribute('style')).toBe(false)
     })
   })
 
-  describe('Edge Cases and Error Handling', () => {
-    it('should handle menu without proper structure gracefully', () => {
-      document.body.innerHTML = `
-        <nav class="c-menu">
-          <div>Invalid structure</div>
-        </nav>
-      `
+  describe('Mobile Drill-down', () => {
+    let menu, mobileButton, desktopQuery
 
-      const menu = new Menubar()
-      expect(() => menu.init()).not.toThrow()
+    const getItem = label =>
+      [...menuContainer.querySelectorAll('.menu__link')].find(item => item.textContent.trim() === label)
+    const isShown = element => !element.closest('[hidden]')
+
+    beforeEach(async () => {
+      desktopQuery = window.matchMedia.getMockImplementation()
+      window.matchMedia.mockImplementation(query => ({ ...desktopQuery(query), matches: true }))
+
+      menu = new Menubar({ mobileControlId: 'mobile-toggle', mobileMode: 'drilldown' })
+      await menu.init()
+      mobileButton = document.getElementById('mobile-toggle')
+      mobileButton.click()
     })
 
-    it('should handle missing submenu gracefully', () => {
-      document.body.innerHTML = `
-        <nav class="c-menu">
-          <ul class="menu">
-            <li class="menu__item">
-              <button class="menu__link">Orphan Button</button>
-            </li>
-          </ul>
-        </nav>
-      `
+    afterEach(() => {
+      menu.destroyAll()
+      window.matchMedia.mockImplementation(desktopQuery)
+    })
 
-      const menu = new Menubar()
-      menu.init()
+    it('should mark the container with the mobile mode', () => {
+      expect(menuContainer.getAttribute('data-mobile-mode')).toBe('drilldown')
+    })
 
-      const button = document.querySelector('button')
-      expect(button.getAttribute('aria-haspopup')).toBe('true')
-      expect(button.getAttribute('aria-controls')).toBeNull()
+    it('should replace the menu with the opened submenu', () => {
+      getItem('About').click()
+
+      expect(isShown(getItem('Our Story'))).toBe(true)
+      expect(isShown(getItem('Home'))).toBe(false)
+      expect(isShown(getItem('Services'))).toBe(false)
+      expect(isShown(getItem('About'))).toBe(false)
+      expect(document.activeElement).toBe(getItem('Our Story'))
     })
 
-    it('should prevent default behavior on relevant keyboard events', () => {
-      const menu = new Menubar()
-      menu.init()
+    it('should add a back button and a heading to the submenu', () => {
+      getItem('About').click()
+      const submenu = getItem('About').nextElementSibling
+      const header = submenu.firstElementChild
 
-      const button = menuContainer.querySelector('button')
-      const event = new KeyboardEvent('keydown', { key: 'ArrowDown' })
-      const preventDefaultSpy = jest.spyOn(event, 'preventDefault')
+      expect(header.tagName).toBe('LI')
+      expect(header.querySelector('.c-menu-drilldown__back').textContent).toBe('Back to Main menu')
+      expect(header.querySelector('.c-menu-drilldown__heading').textContent).toBe('About')
+      expect(submenu.getAttribute('aria-labelledby')).toBe(header.querySelector('h2').id)
+    })
 
-      button.dispatchEvent(event)
+    it('should leave the heading out of the focus trap', () => {
+      getItem('About').click()
+      const header = getItem('About').nextElementSibling.firstElementChild
+      const trapItems = menu.menuInstances.get(menuContainer).mobileController.getTrapItems()
 
-      expect(preventDefaultSpy).toHaveBeenCalled()
+      expect(trapItems).toContain(header.querySelector('.c-menu-drilldown__back'))
+      expect(trapItems).not.toContain(header.querySelector('.c-menu-drilldown__heading'))
+    })
+
+    it('should name the parent panel in the back button of nested submenus', () => {
+      getItem('Services').click()
+      getItem('Nested Services').click()
+
+      const back = menuContainer.querySelector('.c-menu-drilldown__back')
+      expect(menuContainer.querySelectorAll('.c-menu-drilldown')).toHaveLength(1)
+      expect(back.textContent).toBe('Back to Services')
+      expect(isShown(getItem('Web Design'))).toBe(true)
+      expect(isShown(getItem('Research'))).toBe(false)
+    })
+
+    it('should return to the parent panel with the back button', () => {
+      getItem('Services').click()
+      getItem('Nested Services').click()
+
+      menuContainer.querySelector('.c-menu-drilldown__back').click()
+
+      expect(getItem('Nested Services').getAttribute('aria-expanded')).toBe('false')
+      expect(isShown(getItem('Research'))).toBe(true)
+      expect(isShown(getItem('Web Design'))).toBe(true)
+      expect(menuContainer.querySelector('.c-menu-drilldown__back').textContent).toBe('Back to Main menu')
+      expect(document.activeElement).toBe(getItem('Nested Services'))
+    })
+
+    it('should go back one panel on Escape without closing the mobile menu', () => {
+      getItem('About').click()
+
+      getItem('Team').dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }))
+
+      expect(getItem('About').getAttribute('aria-expanded')).toBe('false')
+      expect(mobileButton.getAttribute('aria-expanded')).toBe('true')
+      expect(menuContainer.querySelector('[hidden], .c-menu-drilldown')).toBeNull()
+      expect(document.activeElement).toBe(getItem('About'))
+    })
+
+    it('should show the whole menu again when the mobile menu closes', () => {
+      getItem('Services').click()
+      getItem('Nested Services').click()
+
+      mobileButton.click()
+
+      expect(menuContainer.querySelector('[hidden], [aria-labelledby], .c-menu-drilldown')).toBeNull()
+    })
+
+    it('should localize the back button', async () => {
+      menu.destroyAll()
+      menu = new Menubar({
+        mobileControlId: 'mobile-toggle',
+        mobileMode: 'drilldown',
+        messages: { drilldownBack: 'Zurück zu {label}', drilldownRoot: 'Hauptmenü' },
+      })
+      await menu.init()
+      mobileButton.click()
+
+      getItem('About').click()
+
+      expect(menuContainer.querySelector('.c-menu-drilldown__back').textContent).toBe('Zurück zu Hauptmenü')
+    })
+
+    it('should expand submenus inline on desktop', async () => {
+      menu.destroyAll()
+      window.matchMedia.mockImplementation(desktopQuery)
+      await menu.init()
+
+      getItem('About').click()
+
+      expect(menuContainer.querySelector('[hidden], .c-menu-drilldown')).toBeNull()
+    })
+  })
+
+  describe('Mobile Drawer', () => {
+    let menu, mobileButton, desktopQuery
+
+    const getItem = label =>
+      [...menuContainer.querySelectorAll('.menu__link')].find(item => item.textContent.trim() === label)
+    const swipe = (from, to, end = menuContainer) => {
+      menuContainer.dispatchEvent(new MouseEvent('pointerdown', { bubbles: true, clientX: from[0], clientY: from[1] }))
+      end.dispatchEvent(new MouseEvent('pointerup', { bubbles: true, clientX: to[0], clientY: to[1] }))
+    }
+    const init = async config => {
+      menu = new Menubar({ mobileControlId: 'mobile-toggle', mobileMode: 'drawer', ...config })
+      await menu.init()
+      mobileButton = document.getElementById('mobile-toggle')
+    }
+
+    beforeEach(() => {
+      desktopQuery = window.matchMedia.getMockImplementation()
+      window.matchMedia.mockImplementation(query => ({ ...desktopQuery(query), matches: true }))
+      document.body.insertAdjacentHTML('beforeend', '<main id="content"><a href="#top">Top</a></main>')
+    })
+
+    afterEach(() => {
+      menu.destroyAll()
+      window.matchMedia.mockImplementation(desktopQuery)
+    })
+
+    it('should mark the container with the mode and placement', async () => {
+      await init({ drawerPlacement: 'right' })
+
+      expect(menuContainer.getAttribute('data-mobile-mode')).toBe('drawer')
+      expect(menuContainer.getAttribute('data-drawer-placement')).toBe('right')
+      expect(menuContainer.hasAttribute('role')).toBe(false)
+      expect(document.querySelector('.c-menu-backdrop')).toBeNull()
+    })
+
+    it('should fall back to the left placement', async () => {
+      await init({ drawerPlacement: 'bottom' })
+
+      expect(menuContainer.getAttribute('data-drawer-placement')).toBe('left')
+    })
+
+    it('should open as a modal dialog over a backdrop', async () => {
+      await init()
+      mobileButton.click()
+
+      const backdrop = document.querySelector('.c-menu-backdrop')
+      expect(menuContainer.getAttribute('role')).toBe('dialog')
+      expect(menuContainer.getAttribute('aria-modal')).toBe('true')
+      expect(menuContainer.getAttribute('aria-label')).toBe('Menu')
+      expect(backdrop.previousElementSibling).toBe(menuContainer)
+      expect(backdrop.hasAttribute('inert')).toBe(false)
+      expect(document.getElementById('content').getAttribute('aria-hidden')).toBe('true')
+      expect(document.activeElement).toBe(getItem('Home'))
+    })
+
+    it('should close from a close button inside the dialog', async () => {
+      await init({ messages: { drawerClose: 'Close {label}' } })
+      mobileButton.click()
+
+      const closeButton = menuContainer.querySelector('.c-menu-drawer__close')
+      expect(closeButton.textContent).toBe('Close Menu')
+      expect(menu.menuInstances.get(menuContainer).mobileController.getTrapItems()).not.toContain(mobileButton)
+
+      closeButton.focus()
+      closeButton.dispatchEvent(new KeyboardEvent('keydown', { key: 'Tab', shiftKey: true, bubbles: true }))
+      expect(document.activeElement).toBe(getItem('Contact'))
+
+      closeButton.click()
+      expect(mobileButton.getAttribute('aria-expanded')).toBe('false')
+      expect(menuContainer.querySelector('.c-menu-drawer__close')).toBeNull()
+      expect(document.activeElement).toBe(mobileButton)
+    })
+
+    it('should keep the label of a labelled container', async () => {
+      menuContainer.setAttribute('aria-label', 'Main')
+      await init()
+      mobileButton.click()
+
+      expect(menuContainer.getAttribute('aria-label')).toBe('Main')
+    })
+
+    it('should close on backdrop click and return focus to the toggle', async () => {
+      const closeHandler = jest.fn()
+      menuContainer.addEventListener('mobile:close', closeHandler)
+      await init()
+      mobileButton.click()
+
+      document.querySelector('.c-menu-backdrop').click()
+
+      expect(mobileButton.getAttribute('aria-expanded')).toBe('false')
+      expect(closeHandler).toHaveBeenCalledTimes(1)
+      expect(closeHandler.mock.calls[0][0].detail.trigger).toBe('outside-click')
+      expect(document.querySelector('.c-menu-backdrop')).toBeNull()
+      expect(menuContainer.hasAttribute('role')).toBe(false)
+      expect(menuContainer.hasAttribute('aria-modal')).toBe(false)
+      expect(menuContainer.hasAttribute('aria-label')).toBe(false)
+      expect(document.activeElement).toBe(mobileButton)
+    })
+
+    it('should close on Escape from inside the drawer', async () => {
+      await init()
+      mobileButton.click()
+      getItem('About').click()
+
+      getItem('Team').dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }))
+
+      expect(mobileButton.getAttribute('aria-expanded')).toBe('false')
+      expect(document.activeElement).toBe(mobileButton)
+    })
+
+    it('should close when swiped towards its edge', async () => {
+      const closeHandler = jest.fn()
+      menuContainer.addEventListener('mobile:close', closeHandler)
+      await init()
+      mobileButton.click()
+
+      swipe([200, 100], [180, 100])
+      expect(mobileButton.getAttribute('aria-expanded')).toBe('true')
+
+      swipe([200, 100], [190, 20])
+      expect(mobileButton.getAttribute('aria-expanded')).toBe('true')
+
+      swipe([200, 100], [100, 110])
+      expect(mobileButton.getAttribute('aria-expanded')).toBe('false')
+      expect(closeHandler.mock.calls[0][0].detail.trigger).toBe('swipe')
+    })
+
+    it('should close when a swipe ends outside the drawer', async () => {
+      await init()
+      mobileButton.click()
+
+      swipe([200, 100], [-20, 100], document.querySelector('.c-menu-backdrop'))
+
+      expect(mobileButton.getAttribute('aria-expanded')).toBe('false')
+    })
+
+    it('should only count swipes that started in the drawer', async () => {
+      await init()
+      mobileButton.click()
+
+      document.body.dispatchEvent(new MouseEvent('pointerup', { bubbles: true, clientX: 0, clientY: 100 }))
+
+      expect(mobileButton.getAttribute('aria-expanded')).toBe('true')
+    })
+
+    it('should mark the container while it is open', async () => {
+      await init()
+
+      mobileButton.click()
+      expect(menuContainer.hasAttribute('data-mobile-open')).toBe(true)
+
+      mobileButton.click()
+      expect(menuContainer.hasAttribute('data-mobile-open')).toBe(false)
+
+      mobileButton.click()
+      menu.destroyAll()
+      expect(menuContainer.hasAttribute('data-mobile-open')).toBe(false)
+    })
+
+    it('should close on swipes matching the placement', async () => {
+      await init({ drawerPlacement: 'top' })
+      mobileButton.click()
+
+      swipe([100, 200], [100, 300])
+      expect(mobileButton.getAttribute('aria-expanded')).toBe('true')
+
+      swipe([100, 200], [100, 100])
+      expect(mobileButton.getAttribute('aria-expanded')).toBe('false')
+    })
+
+    it('should leave swipes in an overflowing top drawer to scrolling', async () => {
+      await init({ drawerPlacement: 'top' })
+      Object.defineProperty(menuContainer, 'scrollHeight', { configurable: true, value: 900 })
+      Object.defineProperty(menuContainer, 'clientHeight', { configurable: true, value: 600 })
+      mobileButton.click()
+
+      swipe([100, 200], [100, 100])
+      expect(mobileButton.getAttribute('aria-expanded')).toBe('true')
+
+      const backdrop = document.querySelector('.c-menu-backdrop')
+      backdrop.dispatchEvent(new MouseEvent('pointerdown', { bubbles: true, clientX: 100, clientY: 700 }))
+      backdrop.dispatchEvent(new MouseEvent('pointerup', { bubbles: true, clientX: 100, clientY: 600 }))
+      expect(mobileButton.getAttribute('aria-expanded')).toBe('false')
+    })
+
+    it('should remove the backdrop when destroyed while open', async () => {
+      await init()
+      mobileButton.click()
+
+      menu.destroyAll()
+
+      expect(document.querySelector('.c-menu-backdrop')).toBeNull()
+      expect(menuContainer.hasAttribute('role')).toBe(false)
+      expect(menuContainer.hasAttribute('data-mobile-mode')).toBe(false)
+      expect(document.querySelector('[inert], [aria-hidden="true"]')).toBeNull()
+    })
+  })
+
+  describe('Breakpoint Changes', () => {
+    let menu, mobileButton, desktopQuery, listeners, mobile
+
+    const getItem = label =>
+      [...menuContainer.querySelectorAll('.menu__link')].find(item => item.textContent.trim() === label)
+    const setMobile = matches => {
+      mobile = matches
+      listeners.forEach(listener => listener({ matches }))
+    }
+
+    beforeEach(async () => {
+      mobile = false
+      listeners = new Set()
+      desktopQuery = window.matchMedia.getMockImplementation()
+      window.matchMedia.mockImplementation(query => ({
+        ...desktopQuery(query),
+        get matches() {
+          return mobile
+        },
+        addEventListener: (type, listener) => listeners.add(listener),
+        removeEventListener: (type, listener) => listeners.delete(listener),
+      }))
+
+      menu = new Menubar({ mobileControlId: 'mobile-toggle', lockScroll: true })
+      await menu.init()
+      mobileButton = document.getElementById('mobile-toggle')
+    })
+
+    afterEach(() => {
+      menu.destroyAll()
+      window.matchMedia.mockImplementation(desktopQuery)
+      document.body.removeAttribute('style')
+    })
+
+    it('should report the current mode', () => {
+      expect(menu.getMode()).toBe('desktop')
+      expect(menu.getMode(menuContainer)).toBe('desktop')
+
+      setMobile(true)
+
+      expect(menu.getMode()).toBe('mobile')
+      expect(menu.getMode(menuContainer)).toBe('mobile')
+    })
+
+    it('should close open submenus when crossing the breakpoint', () => {
+      const closeHandler = jest.fn()
+      menuContainer.addEventListener('menu:close', closeHandler)
+      menu.openPath(['Services', 'Nested Services'])
+
+      setMobile(true)
+
+      expect(getItem('Services').getAttribute('aria-expanded')).toBe('false')
+      expect(getItem('Nested Services').getAttribute('aria-expanded')).toBe('false')
+      expect(closeHandler.mock.calls.map(([event]) => event.detail.controller)).toEqual([
+        getItem('Nested Services'),
+        getItem('Services'),
+      ])
+      expect(closeHandler.mock.calls[0][0].detail.trigger).toBe('breakpoint')
+    })
+
+    it('should close the mobile menu and release the page when switching to desktop', () => {
+      setMobile(true)
+      mobileButton.click()
+      getItem('About').click()
+      expect(document.body.style.overflow).toBe('hidden')
+
+      setMobile(false)
+
+      expect(mobileButton.getAttribute('aria-expanded')).toBe('false')
+      expect(getItem('About').getAttribute('aria-expanded')).toBe('false')
+      expect(document.body.hasAttribute('style')).toBe(false)
+    })
+
+    it('should dispatch menu:modechange after resetting the menu', () => {
+      const modeHandler = jest.fn(event => {
+        expect(mobileButton.getAttribute('aria-expanded')).toBe('false')
+      })
+      menuContainer.addEventListener('menu:modechange', modeHandler)
+      setMobile(true)
+      mobileButton.click()
+
+      setMobile(false)
+
+      expect(modeHandler).toHaveBeenCalledTimes(2)
+      expect(modeHandler.mock.calls[1][0].detail).toEqual({
+        menuContainer,
+        mode: 'desktop',
+        previousMode: 'mobile',
+      })
+    })
+
+    it('should ask the mobile menu to close once per breakpoint change', () => {
+      const beforeCloseHandler = jest.fn(event => event.preventDefault())
+      menuContainer.addEventListener('mobile:beforeclose', beforeCloseHandler)
+      setMobile(true)
+      mobileButton.click()
+
+      setMobile(false)
+
+      expect(beforeCloseHandler).toHaveBeenCalledTimes(1)
+    })
+
+    it('should ignore change events that keep the mode', () => {
+      const modeHandler = jest.fn()
+      menuContainer.addEventListener('menu:modechange', modeHandler)
+
+      setMobile(false)
+
+      expect(modeHandler).not.toHaveBeenCalled()
+    })
+
+    it('should stop listening when destroyed', () => {
+      expect(listeners.size).toBeGreaterThan(0)
+
+      menu.destroyAll()
+
+      expect(listeners.size).toBe(0)
+    })
+  })
+
+  describe('Mobile Media Query', () => {
+    let menu
+
+    const getItem = label =>
+      [...menuContainer.querySelectorAll('.menu__link')].find(item => item.textContent.trim() === label)
+
+    afterEach(() => {
+      menu?.destroyAll()
+    })
+
+    it('should build the query from the breakpoint by default', async () => {
+      menu = new Menubar({ mobileControlId: 'mobile-toggle', mobileBreakpoint: 1024 })
+      await menu.init()
+
+      expect(window.matchMedia).toHaveBeenCalledWith('(max-width: 1024px)')
+    })
+
+    it('should accept any media query string', async () => {
+      const query = '(max-width: 48rem), (hover: none) and (pointer: coarse)'
+      menu = new Menubar({ mobileControlId: 'mobile-toggle', mobileMediaQuery: query })
+      await menu.init()
+
+      expect(window.matchMedia).toHaveBeenCalledWith(query)
+      expect(window.matchMedia.mock.calls.every(([media]) => media === query)).toBe(true)
+    })
+
+    it('should only write data-breakpoint without a custom query', async () => {
+      menuContainer.removeAttribute('data-breakpoint')
+      menu = new Menubar({ mobileControlId: 'mobile-toggle', mobileMediaQuery: '(hover: none)' })
+      await menu.init()
+
+      expect(menuContainer.hasAttribute('data-breakpoint')).toBe(false)
+
+      menu.destroyAll()
+      menu = new Menubar({ mobileControlId: 'mobile-toggle', mobileBreakpoint: 1024 })
+      await menu.init()
+
+      expect(menuContainer.getAttribute('data-breakpoint')).toBe('1024')
+    })
+
+    it('should call a query function with the menu container', async () => {
+      const mobileMediaQuery = jest.fn(container => `(max-width: ${container.dataset.breakpoint}px)`)
+      menu = new Menubar({ mobileControlId: 'mobile-toggle', mobileMediaQuery })
+      await menu.init()
+
+      expect(mobileMediaQuery).toHaveBeenCalledWith(menuContainer, menu.config)
+      expect(window.matchMedia).toHaveBeenCalledWith('(max-width: 768px)')
+    })
+
+    it('should share one media query list between the controllers of a menu', async () => {
+      menu = new Menubar({ mobileControlId: 'mobile-toggle' })
+      await menu.init()
+      const instance = menu.menuInstances.get(menuContainer)
+      const mediaQuery = instance.mobileMediaQuery
+
+      expect(window.matchMedia).toHaveBeenCalledTimes(1)
+      expect(instance.menuButtons.get(getItem('About')).mobileMediaQuery).toBe(mediaQuery)
+      expect(instance.menuLinks.get(getItem('Home')).createMobileMediaQuery()).toBe(mediaQuery)
+      expect(instance.mobileController.mobileMediaQuery).toBe(mediaQuery)
+    })
+
+    it('should use the query for the mobile mode', async () => {
+      const mediaQuery = { ...window.matchMedia('(hover: none)'), matches: true }
+      menu = new Menubar({ mobileControlId: 'mobile-toggle', mobileMediaQuery: () => mediaQuery })
+      await menu.init()
+
+      expect(menu.getMode(menuContainer)).toBe('mobile')
+      expect(menu.getMode()).toBe('mobile')
+    })
+  })
+
+  describe('Multiple Mobile Menus', () => {
+    let menu, mainToggle, accountToggle, accountMenu, utilityMenu
+
+    beforeEach(() => {
+      document.body.insertAdjacentHTML(
+        'beforeend',
+        `
+        <button class="account-toggle" aria-controls="account-menu" aria-expanded="false">Account</button>
+        <nav class="c-menu" id="account-menu">
+          <ul class="menu">
+            <li class="menu__item"><a href="#profile" class="menu__link">Profile</a></li>
+          </ul>
+        </nav>
+        <nav class="c-menu c-utility" data-mobile="false">
+          <ul class="menu">
+            <li class="menu__item"><a href="#help" class="menu__link">Help</a></li>
+          </ul>
+        </nav>
+      `,
+      )
+      menuContainer.setAttribute('data-mobile-toggle', 'mobile-toggle')
+      mainToggle = document.getElementById('mobile-toggle')
+      accountToggle = document.querySelector('.account-toggle')
+      accountMenu = document.getElementById('account-menu')
+      utilityMenu = document.querySelector('.c-utility')
+    })
+
+    afterEach(() => {
+      menu.destroyAll()
+    })
+
+    it('should give each menu its own toggle', async () => {
+      menu = new Menubar({ mobileControlId: null })
+      await menu.init()
+
+      accountToggle.click()
+
+      expect(accountToggle.getAttribute('aria-expanded')).toBe('true')
+      expect(mainToggle.getAttribute('aria-expanded')).toBe('false')
+
+      mainToggle.click()
+
+      expect(mainToggle.getAttribute('aria-expanded')).toBe('true')
+      expect(menu.menuInstances.get(menuContainer).mobileController.mobileNavButton).toBe(mainToggle)
+      expect(menu.menuInstances.get(accountMenu).mobileController.mobileNavButton).toBe(accountToggle)
+    })
+
+    it('should leave menus that opt out alone', async () => {
+      menu = new Menubar({ mobileControlId: 'mobile-toggle' })
+      await menu.init()
+
+      expect(menuContainer.classList.contains('c-menu-mobile')).toBe(true)
+      expect(accountMenu.classList.contains('c-menu-mobile')).toBe(true)
+      expect(utilityMenu.classList.contains('c-menu-mobile')).toBe(false)
+      expect(menu.menuInstances.get(utilityMenu).mobileController.mobileNavButton).toBeNull()
+    })
+
+    it('should not share a toggle claimed by another menu', async () => {
+      menuContainer.removeAttribute('data-mobile-toggle')
+      utilityMenu.removeAttribute('data-mobile')
+      utilityMenu.setAttribute('data-mobile-toggle', 'mobile-toggle')
+      menu = new Menubar({ mobileControlId: 'mobile-toggle' })
+      await menu.init()
+
+      expect(menu.menuInstances.get(utilityMenu).mobileController.mobileNavButton).toBe(mainToggle)
+      expect(menu.menuInstances.get(menuContainer).mobileController.mobileNavButton).toBeNull()
+      expect(menuContainer.classList.contains('c-menu-mobile')).toBe(false)
+    })
+
+    describe('without ids', () => {
+      const twoMenus = attributes => `
+        <button id="nav-toggle" aria-expanded="false">Menu</button>
+        <nav class="c-menu" ${attributes}>
+          <ul class="menu"><li class="menu__item"><a href="#one" class="menu__link">One</a></li></ul>
+        </nav>
+        <nav class="c-menu" ${attributes}>
+          <ul class="menu"><li class="menu__item"><a href="#two" class="menu__link">Two</a></li></ul>
+        </nav>
+      `
+
+      it('should leave menus without a toggle association alone', async () => {
+        document.body.innerHTML = twoMenus('')
+        menu = new Menubar()
+        await menu.init()
+
+        const toggle = document.getElementById('nav-toggle')
+        document.querySelectorAll('.c-menu').forEach(nav => {
+          expect(nav.classList.contains('c-menu-mobile')).toBe(false)
+          expect(menu.menuInstances.get(nav).mobileController.mobileNavButton).toBeNull()
+        })
+        expect(toggle.classList.contains('js-mobile-toggle')).toBe(false)
+      })
+
+      it('should give a shared toggle to the first menu that claims it', async () => {
+        document.body.innerHTML = twoMenus('data-mobile')
+        const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {})
+        menu = new Menubar()
+        await menu.init()
+
+        const toggle = document.getElementById('nav-toggle')
+        const [first, second] = document.querySelectorAll('.c-menu')
+        expect(first.classList.contains('c-menu-mobile')).toBe(true)
+        expect(second.classList.contains('c-menu-mobile')).toBe(false)
+        expect(warnSpy).toHaveBeenCalledWith('Mobile menu button already controls another menu')
+        warnSpy.mockRestore()
+
+        toggle.click()
+
+        expect(toggle.getAttribute('aria-expanded')).toBe('true')
+      })
+
+      it('should accept the toggle id as the data-mobile value', async () => {
+        document.body.innerHTML = twoMenus('')
+        const [first, second] = document.querySelectorAll('.c-menu')
+        second.setAttribute('data-mobile', 'nav-toggle')
+        menu = new Menubar({ mobileControlId: null })
+        await menu.init()
+
+        expect(first.classList.contains('c-menu-mobile')).toBe(false)
+        expect(menu.menuInstances.get(second).mobileController.mobileNavButton).toBe(
+          document.getElementById('nav-toggle'),
+        )
+      })
+    })
+
+    it('should point toggles at their menu and restore them on destroy', async () => {
+      menuContainer.id = 'main-menu'
+      menu = new Menubar({ mobileControlId: null })
+      await menu.init()
+
+      expect(mainToggle.getAttribute('aria-controls')).toBe('main-menu')
+
+      menu.destroyAll()
+
+      expect(mainToggle.hasAttribute('aria-controls')).toBe(false)
+      expect(accountToggle.getAttribute('aria-controls')).toBe('account-menu')
+    })
+  })
+
+  describe('Instance Management', () => {
+    it('should destroy specific menu instance', () => {
+      const menu = new Menubar()
+      menu.init()
+
+      expect(menu.menuInstances.has(menuContainer)).toBe(true)
+
+      menu.destroy(menuContainer)
+
+      expect(menu.menuInstances.has(menuContainer)).toBe(false)
+    })
+
+    it('should destroy all menu instances', () => {
+      const menu = new Menubar()
+      menu.init()
+
+      // Add another menu
+      const secondMenu = document.createElement('nav')
+      secondMenu.className = 'c-menu'
+      document.body.appendChild(secondMenu)
+      menu.init() // Re-initialize to pick up new menu
+
+      expect(menu.menuInstances.size).toBeGreaterThan(0)
+
+      menu.destroyAll()
+
+      expect(menu.menuInstances.size).toBe(0)
+    })
+  })
+
+  describe('Teardown', () => {
+    const originalMarkup = () => document.body.innerHTML
+
+    it('should restore the original markup on destroy', async () => {
+      const before = originalMarkup()
+      const menu = new Menubar({ mobileControlId: 'mobile-toggle' })
+      await menu.init()
+
+      menu.destroy(menuContainer)
+
+      expect(originalMarkup()).toBe(before)
+    })
+
+    it('should remove all listeners on destroy', async () => {
+      const menu = new Menubar({ mobileControlId: 'mobile-toggle' })
+      await menu.init()
+      const button = menuContainer.querySelector('button')
+      const mobileButton = document.getElementById('mobile-toggle')
+
+      menu.destroy(menuContainer)
+      button.click()
+      button.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowDown' }))
+      mobileButton.click()
+
+      expect(button.getAttribute('aria-expanded')).toBeNull()
+      expect(mobileButton.getAttribute('aria-expanded')).toBe('false')
+    })
+
+    it('should remove the document mousedown listener of every button', () => {
+      const removeSpy = jest.spyOn(document, 'removeEventListener')
+      const menu = new Menubar({ hasMobile: false })
+      menu.init()
+
+      menu.destroyAll()
+
+      const removed = removeSpy.mock.calls.filter(([type]) => type === 'mousedown')
+      expect(removed.length).toBe(menuContainer.querySelectorAll('button').length)
+      removeSpy.mockRestore()
+    })
+
+    it('should keep mobile controllers with their menu instance', async () => {
+      const menu = new Menubar({ mobileControlId: 'mobile-toggle' })
+      await menu.init()
+
+      const instance = menu.menuInstances.get(menuContainer)
+      expect(instance.mobileController).toBeTruthy()
+      expect(instance.mobileController.menuContainer).toBe(menuContainer)
+    })
+
+    it('should behave like a fresh page when re-initialized after destroy', async () => {
+      const menu = new Menubar({ mobileControlId: 'mobile-toggle' })
+      await menu.init()
+      menu.destroy(menuContainer)
+      await menu.init()
+
+      const button = menuContainer.querySelector('button')
+      const mobileButton = document.getElementById('mobile-toggle')
+
+      button.click()
+      expect(button.getAttribute('aria-expanded')).toBe('true')
+
+      mobileButton.click()
+      expect(mobileButton.getAttribute('aria-expanded')).toBe('true')
+    })
+
+    it('should create one mobile controller when destroyed and re-initialized in the same tick', async () => {
+      const menu = new Menubar({ mobileControlId: 'mobile-toggle' })
+      const firstInit = menu.init()
+      menu.destroy(menuContainer)
+      await Promise.all([firstInit, menu.init()])
+
+      const mobileButton = document.getElementById('mobile-toggle')
+      mobileButton.click()
+      expect(mobileButton.getAttribute('aria-expanded')).toBe('true')
+
+      mobileButton.click()
+      menu.destroyAll()
+      mobileButton.click()
+      expect(mobileButton.getAttribute('aria-expanded')).toBe('false')
+    })
+  })
+
+  describe('Complex Menu Structure Tests', () => {
+    beforeEach(() => {
+      // Create a more complex test menu structure for edge cases
+      document.body.innerHTML = `
+        <button id="nav-toggle" aria-expanded="false">Mobile Menu</button>
+        <nav class="c-menu" data-breakpoint="768" data-mobile>
+          <ul class="menu">
+            <li class="menu__item">
+              <a class="menu__link" href="#">Simple Link</a>
+            </li>
+            <li class="menu__item">
+              <button class="menu__link">Menu Button</button>
+              <ul class="menu">
+                <li class="menu__item">
+                  <a class="menu__link" href="#" >Subitem 1</a>
+                </li>
+                <li class="menu__item">
+                  <button class="menu__link">Sub Button</button>
+                  <ul class="menu">
+                    <li class="menu__item">
+                      <a class="menu__link" href="#">Deep Item</a>
+                    </li>
+                    <li class="menu__item">
+                      <a class="menu__link" href="#">Deep Item</a>
+                    </li>
+                  </ul>
+                </li>
+              </ul>
+            </li>
+            <li class="menu__item menu__item--expanded">
+              <span class="menu__link">Mega Menu</span>
+              <div class="menu">
+                <div class="c-mega-menu__wrapper">
+                  <a class="menu__link" href="#">Mega Link</a>
+                </div>
+              </div>
+            </li>
+          </ul>
+        </nav>
+      `
+      menuContainer = document.querySelector('.c-menu')
+    })
+
+    it('should not mark placeholder links as the current page', async () => {
+      for (const activeTrail of ['exact', 'prefix']) {
+        const menu = new Menubar({ hasMobile: false, activeTrail })
+        await menu.init()
+
+        expect(menuContainer.querySelector('[aria-current]')).toBeNull()
+        expect(menuContainer.querySelector('.is-active-trail')).toBeNull()
+        menu.destroyAll()
+      }
+    })
+
+    it('should handle deeply nested menu structures', () => {
+      const menu = new Menubar()
+      menu.init()
+
+      const deepButtons = menuContainer.querySelectorAll('button')
+      expect(deepButtons.length).toBe(2) // Menu Button and Sub Button
+
+      deepButtons.forEach(button => {
+        expect(button.getAttribute('aria-haspopup')).toBe('true')
+      })
+    })
+
+    it('should handle span elements with submenus', () => {
+      const menu = new Menubar()
+      menu.init()
+
+      const span = menuContainer.querySelector('span')
+      if (span && span.nextElementSibling) {
+        const submenu = span.nextElementSibling
+        expect(span.getAttribute('data-menu-controls')).toBeTruthy()
+        expect(submenu.getAttribute('id')).toBeTruthy()
+      }
+    })
+  })
+
+  describe('Edge Cases and Error Handling', () => {
+    it('should handle menu without proper structure gracefully', () => {
+      document.body.innerHTML = `
+        <nav class="c-menu">
+          <div>Invalid structure</div>
+        </nav>
+      `
+
+      const menu = new Menubar()
+      expect(() => menu.init()).not.toThrow()
+    })
+
+    it('should handle missing submenu gracefully', () => {
+      document.body.innerHTML = `
+        <nav class="c-menu">
+          <ul class="menu">
+            <li class="menu__item">
+              <button class="menu__link">Orphan Button</button>
+            </li>
+          </ul>
+        </nav>
+      `
+
+      const menu = new Menubar()
+      menu.init()
+
+      const button = document.querySelector('button')
+      expect(button.getAttribute('aria-haspopup')).toBe('true')
+      expect(button.getAttribute('aria-controls')).toBeNull()
+    })
+
+    it('should prevent default behavior on relevant keyboard events', () => {
+      const menu = new Menubar()
+      menu.init()
+
+      const button = menuContainer.querySelector('button')
+      const event = new KeyboardEvent('keydown', { key: 'ArrowDown' })
+      const preventDefaultSpy = jest.spyOn(event, 'preventDefault')
+
+      button.dispatchEvent(event)
+
+      expect(preventDefaultSpy).toHaveBeenCalled()
+    })
+  })
+
+  describe('Type-ahead Navigation', () => {
+    let menu
+    const type = (element, key) => element.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }))
+    const topLink = label =>
+      Array.from(menuContainer.querySelectorAll('[data-depth="0"] > li > .menu__link')).find(
+        link => link.textContent === label,
+      )
+
+    beforeEach(() => {
+      jest.useFakeTimers()
+      menu = new Menubar()
+      menu.init()
+    })
+
+    afterEach(() => {
+      jest.runAllTimers()
+      jest.useRealTimers()
+    })
+
+    it('should move focus to the next top-level item starting with the typed character', () => {
+      const home = topLink('Home')
+      home.focus()
+
+      type(home, 'c')
+
+      expect(document.activeElement).toBe(topLink('Contact'))
+    })
+
+    it('should match case-insensitively and wrap around', () => {
+      const contact = topLink('Contact')
+      contact.focus()
+
+      type(contact, 'H')
+
+      expect(document.activeElement).toBe(topLink('Home'))
+    })
+
+    it('should combine characters typed before the timeout', () => {
+      document.body.innerHTML = `
+        <nav class="c-menu">
+          <ul class="menu">
+            <li class="menu__item"><a href="#" class="menu__link">Home</a></li>
+            <li class="menu__item"><a href="#" class="menu__link">Search</a></li>
+            <li class="menu__item"><a href="#" class="menu__link">Services</a></li>
+          </ul>
+        </nav>
+      `
+      new Menubar().init()
+      const [home, search, services] = document.querySelectorAll('a')
+      home.focus()
+
+      type(home, 's')
+      expect(document.activeElement).toBe(search)
+
+      type(search, 'e')
+      expect(document.activeElement).toBe(search)
+
+      type(search, 'r')
+      type(search, 'v')
+      expect(document.activeElement).toBe(services)
+
+      // After the timeout a new search starts
+      jest.advanceTimersByTime(500)
+      type(services, 'h')
+      expect(document.activeElement).toBe(home)
+    })
+
+    it('should ignore diacritics and skip hidden items', () => {
+      document.body.innerHTML = `
+        <nav class="c-menu">
+          <ul class="menu">
+            <li class="menu__item"><a href="#" class="menu__link">Accueil</a></li>
+            <li class="menu__item" hidden><a href="#" class="menu__link">Évènements cachés</a></li>
+            <li class="menu__item"><a href="#" class="menu__link">Équipe</a></li>
+          </ul>
+        </nav>
+      `
+      new Menubar().init()
+      const [accueil, , equipe] = document.querySelectorAll('a')
+      accueil.focus()
+
+      type(accueil, 'e')
+
+      expect(document.activeElement).toBe(equipe)
+    })
+
+    it('should stay within the current submenu level', () => {
+      const story = menuContainer.querySelector('a[href="#story"]')
+      story.focus()
+
+      type(story, 'h')
+
+      expect(document.activeElement.getAttribute('href')).toBe('#history')
+    })
+
+    it('should not handle characters with modifier keys or when disabled', () => {
+      const home = topLink('Home')
+      home.focus()
+
+      home.dispatchEvent(new KeyboardEvent('keydown', { key: 'c', ctrlKey: true }))
+      expect(document.activeElement).toBe(home)
+
+      menu.destroyAll()
+      new Menubar({ typeAhead: false }).init()
+      type(home, 'c')
+      expect(document.activeElement).toBe(home)
+    })
+  })
+
+  describe('Home, End and Page Keys', () => {
+    const press = (element, key) =>
+      element.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }))
+    const topLinks = () => Array.from(menuContainer.querySelectorAll('[data-depth="0"] > li > .menu__link'))
+
+    it('should move to the first and last top-level item', () => {
+      new Menubar().init()
+      const [home, about, , contact] = topLinks()
+      about.focus()
+
+      press(about, 'End')
+      expect(document.activeElement).toBe(contact)
+
+      press(contact, 'Home')
+      expect(document.activeElement).toBe(home)
+    })
+
+    it('should move to the first and last item of the current submenu', () => {
+      new Menubar().init()
+      const services = menuContainer.querySelector('a[href="#research"]').closest('ul')
+      const research = services.querySelector('a[href="#research"]')
+      const nestedButton = services.querySelector('button')
+      research.focus()
+
+      press(research, 'End')
+      expect(document.activeElement).toBe(nestedButton)
+
+      press(nestedButton, 'Home')
+      expect(document.activeElement).toBe(research)
+    })
+
+    it('should prevent the default scroll for Home and End', () => {
+      new Menubar().init()
+      const [home] = topLinks()
+      const event = new KeyboardEvent('keydown', { key: 'End', cancelable: true })
+
+      home.dispatchEvent(event)
+
+      expect(event.defaultPrevented).toBe(true)
+    })
+
+    it('should leave PageUp and PageDown alone unless pageStep is set', () => {
+      new Menubar().init()
+      const [home] = topLinks()
+      const event = new KeyboardEvent('keydown', { key: 'PageDown', cancelable: true })
+      home.focus()
+
+      home.dispatchEvent(event)
+
+      expect(event.defaultPrevented).toBe(false)
+      expect(document.activeElement).toBe(home)
+    })
+
+    it('should jump by pageStep items and stop at the ends', () => {
+      new Menubar({ pageStep: 2 }).init()
+      const [home, about, services, contact] = topLinks()
+      home.focus()
+
+      press(home, 'PageDown')
+      expect(document.activeElement).toBe(services)
+
+      press(services, 'PageDown')
+      expect(document.activeElement).toBe(contact)
+
+      press(contact, 'PageUp')
+      expect(document.activeElement).toBe(about)
+    })
+  })
+
+  describe('Strict APG Mode', () => {
+    let aboutButton, servicesButton, nestedButton
+    const press = (element, key) => {
+      const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true })
+      element.dispatchEvent(event)
+      jest.runAllTimers()
+      return event
+    }
+
+    beforeEach(() => {
+      jest.useFakeTimers()
+      new Menubar({ strictApg: true }).init()
+      ;[aboutButton, servicesButton, nestedButton] = menuContainer.querySelectorAll('button')
+    })
+
+    afterEach(() => {
+      jest.useRealTimers()
+    })
+
+    it('should open and focus the first item on Enter and Space', () => {
+      const enter = press(aboutButton, 'Enter')
+
+      expect(enter.defaultPrevented).toBe(true)
+      expect(aboutButton.getAttribute('aria-expanded')).toBe('true')
+      expect(document.activeElement.getAttribute('href')).toBe('#story')
+
+      const space = press(servicesButton, ' ')
+
+      expect(space.defaultPrevented).toBe(true)
+      expect(aboutButton.getAttribute('aria-expanded')).toBe('false')
+      expect(servicesButton.getAttribute('aria-expanded')).toBe('true')
+      expect(document.activeElement.getAttribute('href')).toBe('#research')
+    })
+
+    it('should not toggle again when the native activation follows Enter or Space', () => {
+      ;['Enter', ' '].forEach(key => {
+        press(aboutButton, key)
+        const keyup = new KeyboardEvent('keyup', { key, bubbles: true, cancelable: true })
+        aboutButton.dispatchEvent(keyup)
+        aboutButton.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true, detail: 0 }))
+        jest.runAllTimers()
+
+        expect(keyup.defaultPrevented).toBe(true)
+        expect(aboutButton.getAttribute('aria-expanded')).toBe('true')
+        expect(document.activeElement.getAttribute('href')).toBe('#story')
+
+        press(document.activeElement, 'Escape')
+        expect(aboutButton.getAttribute('aria-expanded')).toBe('false')
+      })
+    })
+
+    it('should open and focus the last item on ArrowUp', () => {
+      press(servicesButton, 'ArrowUp')
+
+      expect(servicesButton.getAttribute('aria-expanded')).toBe('true')
+      expect(document.activeElement).toBe(nestedButton)
+    })
+
+    it('should return focus to the owning controller on Escape at any depth', () => {
+      press(servicesButton, 'Enter')
+      press(nestedButton, 'Enter')
+      const webDesign = menuContainer.querySelector('a[href="#design"]')
+      expect(document.activeElement).toBe(webDesign)
+
+      press(webDesign, 'Escape')
+      expect(nestedButton.getAttribute('aria-expanded')).toBe('false')
+      expect(document.activeElement).toBe(nestedButton)
+
+      press(nestedButton, 'Escape')
+      expect(servicesButton.getAttribute('aria-expanded')).toBe('false')
+      expect(document.activeElement).toBe(servicesButton)
+    })
+
+    it('should leave Enter to the native click when strictApg is off', () => {
+      document.body.innerHTML = `
+        <nav class="c-menu">
+          <ul class="menu">
+            <li class="menu__item">
+              <button class="menu__link">About</button>
+              <ul class="menu"><li class="menu__item"><a href="#story" class="menu__link">Our Story</a></li></ul>
+            </li>
+          </ul>
+        </nav>
+      `
+      new Menubar().init()
+      const button = document.querySelector('button')
+
+      const enter = press(button, 'Enter')
+
+      expect(enter.defaultPrevented).toBe(false)
+      expect(button.getAttribute('aria-expanded')).toBe('false')
+    })
+  })
+
+  describe('Vertical Orientation', () => {
+    let homeLink, aboutButton, servicesButton, nestedButton
+    const press = (element, key) => {
+      const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true })
+      element.dispatchEvent(event)
+      jest.runAllTimers()
+      return event
+    }
+
+    beforeEach(() => {
+      jest.useFakeTimers()
+      homeLink = menuContainer.querySelector('a[href="#home"]')
+      ;[aboutButton, servicesButton, nestedButton] = menuContainer.querySelectorAll('button')
+    })
+
+    afterEach(() => {
+      jest.useRealTimers()
+    })
+
+    it('should expose the resolved orientation on the container', () => {
+      new Menubar().init()
+      expect(menuContainer.getAttribute('data-orientation')).toBe('horizontal')
+    })
+
+    it('should honour aria-orientation on the top-level list', () => {
+      menuContainer.querySelector('ul').setAttribute('aria-orientation', 'vertical')
+      new Menubar().init()
+
+      expect(menuContainer.getAttribute('data-orientation')).toBe('vertical')
+    })
+
+    it('should move between top-level items with Up and Down', () => {
+      new Menubar({ orientation: 'vertical' }).init()
+
+      press(homeLink, 'ArrowDown')
+      expect(document.activeElement).toBe(aboutButton)
+      expect(aboutButton.getAttribute('aria-expanded')).toBe('false')
+
+      press(aboutButton, 'ArrowDown')
+      expect(document.activeElement).toBe(servicesButton)
+
+      press(servicesButton, 'ArrowUp')
+      expect(document.activeElement).toBe(aboutButton)
+    })
+
+    it('should open the flyout with Right and close it with Left', () => {
+      new Menubar({ orientation: 'vertical' }).init()
+
+      press(servicesButton, 'ArrowRight')
+      const research = menuContainer.querySelector('a[href="#research"]')
+      expect(servicesButton.getAttribute('aria-expanded')).toBe('true')
+      expect(document.activeElement).toBe(research)
+
+      press(research, 'ArrowLeft')
+      expect(servicesButton.getAttribute('aria-expanded')).toBe('false')
+      expect(document.activeElement).toBe(servicesButton)
+    })
+
+    it('should open nested flyouts with Right and stay within them', () => {
+      new Menubar({ orientation: 'vertical' }).init()
+
+      press(servicesButton, 'ArrowRight')
+      nestedButton.focus()
+      press(nestedButton, 'ArrowRight')
+      const webDesign = menuContainer.querySelector('a[href="#design"]')
+      expect(document.activeElement).toBe(webDesign)
+
+      press(webDesign, 'ArrowRight')
+      expect(document.activeElement).toBe(webDesign)
+      expect(servicesButton.getAttribute('aria-expanded')).toBe('true')
+    })
+
+    it('should ignore Left on top-level items', () => {
+      new Menubar({ orientation: 'vertical' }).init()
+      aboutButton.focus()
+
+      press(aboutButton, 'ArrowLeft')
+
+      expect(document.activeElement).toBe(aboutButton)
+    })
+  })
+
+  describe('Right-to-left', () => {
+    let homeLink, aboutButton, servicesButton, nestedButton
+    const press = (element, key) => {
+      const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true })
+      element.dispatchEvent(event)
+      jest.runAllTimers()
+      return event
+    }
+
+    beforeEach(() => {
+      jest.useFakeTimers()
+      menuContainer.setAttribute('dir', 'rtl')
+      homeLink = menuContainer.querySelector('a[href="#home"]')
+      ;[aboutButton, servicesButton, nestedButton] = menuContainer.querySelectorAll('button')
+    })
+
+    afterEach(() => {
+      jest.useRealTimers()
+    })
+
+    it('should move along the menubar in visual order', () => {
+      new Menubar().init()
+
+      press(homeLink, 'ArrowLeft')
+      expect(document.activeElement).toBe(aboutButton)
+
+      press(aboutButton, 'ArrowRight')
+      expect(document.activeElement).toBe(homeLink)
+    })
+
+    it('should open nested flyouts with Left and close them with Right', () => {
+      new Menubar().init()
+
+      press(servicesButton, 'ArrowDown')
+      nestedButton.focus()
+      press(nestedButton, 'ArrowLeft')
+      const webDesign = menuContainer.querySelector('a[href="#design"]')
+      expect(document.activeElement).toBe(webDesign)
+
+      press(webDesign, 'ArrowRight')
+      expect(nestedButton.getAttribute('aria-expanded')).toBe('false')
+      expect(document.activeElement).toBe(nestedButton)
+    })
+
+    it('should move to the next top-level item with Left from a submenu', () => {
+      new Menubar().init()
+
+      press(aboutButton, 'ArrowDown')
+      press(document.activeElement, 'ArrowLeft')
+
+      expect(document.activeElement).toBe(servicesButton)
+      expect(servicesButton.getAttribute('aria-expanded')).toBe('true')
+    })
+
+    it('should let the direction option override detection', () => {
+      new Menubar({ direction: 'ltr' }).init()
+
+      press(homeLink, 'ArrowRight')
+
+      expect(document.activeElement).toBe(aboutButton)
+    })
+  })
+
+  describe('Menu Events', () => {
+    let menu, button
+
+    beforeEach(async () => {
+      menu = new Menubar({ mobileControlId: 'mobile-toggle' })
+      await menu.init()
+      button = menuContainer.querySelector('button')
+    })
+
+    it('should dispatch beforeopen and open events from the menu container', () => {
+      const events = []
+      menuContainer.addEventListener('menu:beforeopen', e => events.push(e))
+      menuContainer.addEventListener('menu:open', e => events.push(e))
+
+      button.click()
+
+      expect(events.map(e => e.type)).toEqual(['menu:beforeopen', 'menu:open'])
+      expect(events[0].cancelable).toBe(true)
+      expect(events[1].detail.controller).toBe(button)
+      expect(events[1].detail.submenu).toBe(button.nextElementSibling)
+      expect(events[1].detail.depth).toBe(1)
+    })
+
+    it('should veto opening when menu:beforeopen is cancelled', () => {
+      const onOpen = jest.fn()
+      menuContainer.addEventListener('menu:beforeopen', e => e.preventDefault())
+      menuContainer.addEventListener('menu:open', onOpen)
+
+      button.click()
+
+      expect(button.getAttribute('aria-expanded')).toBe('false')
+      expect(onOpen).not.toHaveBeenCalled()
+    })
+
+    it('should report the trigger that closed the submenu', () => {
+      const triggers = []
+      menuContainer.addEventListener('menu:close', e => triggers.push(e.detail.trigger))
+
+      button.click()
+      button.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }))
+
+      button.click()
+      document.dispatchEvent(new MouseEvent('mousedown', { bubbles: true }))
+
+      expect(triggers).toEqual(['escape', 'outside-click'])
+    })
+
+    it('should veto closing when menu:beforeclose is cancelled', () => {
+      button.click()
+      menuContainer.addEventListener('menu:beforeclose', e => e.preventDefault())
+
+      button.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }))
+
+      expect(button.getAttribute('aria-expanded')).toBe('true')
+    })
+
+    it('should dispatch a cancelable menu:activate event for links', () => {
+      const storyLink = menuContainer.querySelector('a[href="#story"]')
+      const onActivate = jest.fn(e => e.preventDefault())
+      menuContainer.addEventListener('menu:activate', onActivate)
+
+      const click = new MouseEvent('click', { bubbles: true, cancelable: true, detail: 1 })
+      storyLink.dispatchEvent(click)
+
+      const { detail } = onActivate.mock.calls[0][0]
+      expect(detail.item).toBe(storyLink)
+      expect(detail.controller).toBe(button)
+      expect(detail.depth).toBe(1)
+      expect(detail.trigger).toBe('click')
+      expect(click.defaultPrevented).toBe(true)
+    })
+
+    it('should dispatch mobile open and close events', () => {
+      const mobileButton = document.getElementById('mobile-toggle')
+      const types = []
+      ;['mobile:beforeopen', 'mobile:open', 'mobile:beforeclose', 'mobile:close'].forEach(type =>
+        menuContainer.addEventListener(type, e => types.push(e.type)),
+      )
+
+      mobileButton.click()
+      mobileButton.click()
+
+      expect(types).toEqual(['mobile:beforeopen', 'mobile:open', 'mobile:beforeclose', 'mobile:close'])
+    })
+
+    it('should keep the mobile menu closed when mobile:beforeopen is cancelled', () => {
+      const mobileButton = document.getElementById('mobile-toggle')
+      menuContainer.addEventListener('mobile:beforeopen', e => e.preventDefault())
+
+      mobileButton.click()
+
+      expect(mobileButton.getAttribute('aria-expanded')).toBe('false')
+    })
+  })
+
+  describe('Programmatic API', () => {
+    let menu, aboutButton, servicesButton, nestedButton
+
+    beforeEach(() => {
+      menu = new Menubar()
+      menu.init()
+      ;[aboutButton, servicesButton, nestedButton] = menuContainer.querySelectorAll('button')
+    })
+
+    it('should open and close a submenu by element', () => {
+      expect(menu.open(aboutButton)).toBe(true)
+      expect(aboutButton.getAttribute('aria-expanded')).toBe('true')
+
+      expect(menu.close(aboutButton)).toBe(true)
+      expect(aboutButton.getAttribute('aria-expanded')).toBe('false')
+    })
+
+    it('should resolve controllers by data-plugin-id and panel id', () => {
+      menu.open(aboutButton.getAttribute('data-plugin-id'))
+      expect(aboutButton.getAttribute('aria-expanded')).toBe('true')
+
+      menu.toggle(aboutButton.getAttribute('aria-controls'))
+      expect(aboutButton.getAttribute('aria-expanded')).toBe('false')
+    })
+
+    it('should open ancestors and close other branches on desktop', () => {
+      menu.open(aboutButton)
+      menu.open(nestedButton)
+
+      expect(aboutButton.getAttribute('aria-expanded')).toBe('false')
+      expect(servicesButton.getAttribute('aria-expanded')).toBe('true')
+      expect(nestedButton.getAttribute('aria-expanded')).toBe('true')
+    })
+
+    it('should return false for unknown controllers', () => {
+      expect(menu.open('does-not-exist')).toBe(false)
+    })
+
+    it('should close all submenus in a container', () => {
+      menu.open(nestedButton)
+      menu.closeAll(menuContainer)
+
+      expect(menuContainer.querySelectorAll('[aria-expanded="true"]').length).toBe(0)
+    })
+
+    it('should open a path of labels', () => {
+      const target = menu.openPath(['Services', 'Nested Services', 'Web Design'])
+
+      expect(target.textContent).toBe('Web Design')
+      expect(servicesButton.getAttribute('aria-expanded')).toBe('true')
+      expect(nestedButton.getAttribute('aria-expanded')).toBe('true')
+      expect(menu.openPath(['Services', 'Missing'])).toBeNull()
+    })
+
+    it('should focus an item after opening its ancestors', () => {
+      jest.useFakeTimers()
+
+      const target = menu.focusItem(['About', 'Team'])
+      jest.runAllTimers()
+
+      expect(aboutButton.getAttribute('aria-expanded')).toBe('true')
+      expect(document.activeElement).toBe(target)
+
+      jest.useRealTimers()
+    })
+  })
+
+  describe('Rendering from Data', () => {
+    const items = [
+      { label: 'Home', href: '#home', attributes: { 'data-track': 'home' } },
+      {
+        label: 'About',
+        children: [
+          { label: 'Our Story', href: '#story' },
+          { label: 'Team', href: '#team' },
+        ],
+      },
+      { label: 'Services', mega: true, children: [{ label: 'Design', href: '#design' }] },
+    ]
+
+    let nav
+
+    beforeEach(() => {
+      document.body.innerHTML = '<nav aria-label="Main"></nav>'
+      nav = document.querySelector('nav')
+    })
+
+    it('should generate the menu structure with the configured classes', async () => {
+      await Menubar.render(nav, items, { hasMobile: false })
+
+      const topLevel = nav.querySelector(':scope > ul.menu')
+      expect(nav.classList.contains('c-menu')).toBe(true)
+      expect(topLevel.getAttribute('data-depth')).toBe('0')
+      expect(topLevel.children.length).toBe(3)
+
+      const home = nav.querySelector('a.menu__link')
+      expect(home.getAttribute('href')).toBe('#home')
+      expect(home.getAttribute('data-track')).toBe('home')
+
+      const about = nav.querySelector('button.menu__link')
+      expect(about.closest('li').classList.contains('menu__item--expanded')).toBe(true)
+      expect(about.nextElementSibling.tagName).toBe('UL')
+    })
+
+    it('should render mega menus with a span controller and wrapper', async () => {
+      await Menubar.render(nav, items, { hasMobile: false })
+
+      const controller = nav.querySelector('span.menu__link')
+      expect(controller.textContent).toBe('Services')
+      expect(controller.nextElementSibling.classList.contains('c-mega-menu')).toBe(true)
+      expect(controller.getAttribute('data-menu-controls')).toBe(controller.nextElementSibling.id)
+    })
+
+    it('should initialize the rendered menu', async () => {
+      const menu = await Menubar.render(nav, items, { hasMobile: false })
+      const about = nav.querySelector('button')
+
+      expect(menu.menuInstances.has(nav)).toBe(true)
+      expect(about.getAttribute('aria-expanded')).toBe('false')
+
+      about.click()
+      expect(about.getAttribute('aria-expanded')).toBe('true')
+    })
+
+    it('should use custom class names', async () => {
+      await Menubar.render(nav, items, {
+        menuSelector: '.site-nav',
+        linkClass: 'nav-link',
+        buttonClass: 'nav-link',
+        itemClass: 'nav-item',
+        hasMobile: false,
+      })
+
+      expect(nav.classList.contains('site-nav')).toBe(true)
+      expect(nav.querySelectorAll('.nav-item').length).toBe(6)
+      expect(nav.querySelector('button.nav-link').getAttribute('aria-expanded')).toBe('false')
+      expect(nav.querySelector('button.nav-link').nextElementSibling.getAttribute('data-depth')).toBe('1')
+    })
+
+    it('should render into a detached container', async () => {
+      const detached = document.createElement('nav')
+      detached.id = 'site-nav'
+      const menu = await Menubar.render(detached, [...items, items[1]], { hasMobile: false })
+
+      const [about, , secondAbout] = detached.querySelectorAll('[data-menu-controls]')
+      expect(menu.menuInstances.has(detached)).toBe(true)
+      expect(about.getAttribute('data-menu-controls')).toBe('panel-site-nav-about')
+      expect(secondAbout.getAttribute('data-menu-controls')).toBe('panel-site-nav-about-2')
+      expect(secondAbout.nextElementSibling.id).toBe('panel-site-nav-about-2')
+    })
+
+    it('should add a mobile toggle before the container', async () => {
+      const menu = await Menubar.render(nav, items, { mobileControlId: 'site-toggle', mobileToggleLabel: 'Open menu' })
+
+      const toggle = document.getElementById('site-toggle')
+      expect(toggle.nextElementSibling).toBe(nav)
+      expect(toggle.textContent).toBe('Open menu')
+      expect(toggle.getAttribute('aria-expanded')).toBe('false')
+      expect(menu.menuInstances.get(nav).mobileController).toBeTruthy()
+    })
+
+    it('should reuse an existing mobile toggle', async () => {
+      document.body.insertAdjacentHTML('afterbegin', '<button id="nav-toggle" aria-expanded="false">Menu</button>')
+
+      await Menubar.render(nav, items)
+
+      expect(document.querySelectorAll('#nav-toggle').length).toBe(1)
+    })
+  })
+
+  describe('Refreshing Dynamic Items', () => {
+    const press = (element, key) => {
+      const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true })
+      element.dispatchEvent(event)
+      return event
+    }
+
+    const addSubmenu = () => {
+      const item = document.createElement('li')
+      item.className = 'menu__item'
+      item.innerHTML = `
+        <button class="menu__link">Products</button>
+        <ul class="menu">
+          <li class="menu__item"><a href="#software" class="menu__link">Software</a></li>
+        </ul>
+      `
+      menuContainer.querySelector('ul').append(item)
+      return item.querySelector('button')
+    }
+
+    it('should wire up controllers added before refresh', async () => {
+      const menu = new Menubar({ hasMobile: false })
+      await menu.init()
+      const products = addSubmenu()
+
+      menu.refresh(menuContainer)
+
+      const panel = document.getElementById(products.getAttribute('aria-controls'))
+      expect(panel.getAttribute('data-depth')).toBe('1')
+      expect(products.getAttribute('aria-expanded')).toBe('false')
+
+      products.click()
+      expect(products.getAttribute('aria-expanded')).toBe('true')
+    })
+
+    it('should recompute the items links navigate between', async () => {
+      const menu = new Menubar({ hasMobile: false })
+      await menu.init()
+      const team = menuContainer.querySelector('a[href="#team"]')
+      const history = menuContainer.querySelector('a[href="#history"]')
+      history
+        .closest('li')
+        .insertAdjacentHTML(
+          'beforebegin',
+          '<li class="menu__item"><a href="#values" class="menu__link">Values</a></li>',
+        )
+
+      menu.refresh(menuContainer)
+      press(team, 'ArrowUp')
+      press(menuContainer.querySelector('a[href="#values"]'), 'ArrowUp')
+
+      expect(document.activeElement).toBe(team)
+    })
+
+    it('should tear down removed items', async () => {
+      const menu = new Menubar({ hasMobile: false })
+      await menu.init()
+      const aboutButton = menuContainer.querySelector('button')
+      const aboutItem = aboutButton.closest('li')
+      const instance = menu.menuInstances.get(menuContainer)
+
+      aboutItem.remove()
+      menu.refresh(menuContainer)
+
+      expect(instance.menuButtons.has(aboutButton)).toBe(false)
+      aboutButton.click()
+      expect(aboutButton.getAttribute('aria-expanded')).toBe('false')
+    })
+
+    it('should refresh automatically with observe', async () => {
+      const menu = new Menubar({ hasMobile: false, observe: true })
+      await menu.init()
+      const products = addSubmenu()
+
+      await new Promise(resolve => setTimeout(resolve, 0))
+
+      expect(products.getAttribute('aria-controls')).toBeTruthy()
+      expect(menu.menuInstances.get(menuContainer).menuButtons.has(products)).toBe(true)
+    })
+
+    it('should stop observing on destroy', async () => {
+      const menu = new Menubar({ hasMobile: false, observe: true })
+      await menu.init()
+
+      menu.destroy(menuContainer)
+      const products = addSubmenu()
+      await new Promise(resolve => setTimeout(resolve, 0))
+
+      expect(products.hasAttribute('aria-controls')).toBe(false)
+    })
+  })
+
+  describe('Serializing to JSON', () => {
+    it('should describe every item and its state', async () => {
+      const homeLink = menuContainer.querySelector('a[href="#home"]')
+      homeLink.setAttribute('aria-current', 'page')
+      const menu = new Menubar({ hasMobile: false })
+      await menu.init()
+      menu.open(menuContainer.querySelectorAll('button')[1])
+
+      const [home, about, services] = menu.toJSON(menuContainer)
+
+      expect(home).toEqual({
+        label: 'Home',
+        href: '#home',
+        depth: 0,
+        controller: null,
+        panelId: null,
+        mega: false,
+        current: 'page',
+        expanded: false,
+        attributes: { 'aria-current': 'page' },
+      })
+      expect(about.controller).toBe('button')
+      expect(about.panelId).toBe(menuContainer.querySelector('button').getAttribute('aria-controls'))
+      expect(about.expanded).toBe(false)
+      expect(about.attributes).toEqual({})
+      expect(about.children.map(item => item.label)).toEqual(['Our Story', 'Team', 'History'])
+      expect(services.expanded).toBe(true)
+      expect(services.children[2].children[0]).toMatchObject({ label: 'Web Design', depth: 2 })
+    })
+
+    it('should flag mega menus', async () => {
+      document.body.innerHTML = '<nav></nav>'
+      const nav = document.querySelector('nav')
+      const menu = await Menubar.render(
+        nav,
+        [{ label: 'Services', mega: true, children: [{ label: 'Design', href: '#design' }] }],
+        { hasMobile: false },
+      )
+
+      const [services] = menu.toJSON(nav)
+
+      expect(services).toMatchObject({ controller: 'span', mega: true, panelId: nav.querySelector('div').id })
+      expect(services.children[0]).toMatchObject({ label: 'Design', href: '#design', depth: 1 })
+    })
+
+    it('should round-trip with render', async () => {
+      const menu = new Menubar({ hasMobile: false })
+      await menu.init()
+      const json = menu.toJSON(menuContainer)
+
+      const nav = document.createElement('nav')
+      document.body.append(nav)
+      const rendered = await Menubar.render(nav, json, { hasMobile: false })
+
+      const withoutPanelIds = items =>
+        items.map(({ panelId, children, attributes, ...item }) => ({
+          ...item,
+          ...(children && { children: withoutPanelIds(children) }),
+        }))
+      expect(withoutPanelIds(rendered.toJSON(nav))).toEqual(withoutPanelIds(json))
+    })
+
+    it('should serialize every menu through JSON.stringify', async () => {
+      const menu = new Menubar({ hasMobile: false })
+      await menu.init()
+
+      const [tree] = JSON.parse(JSON.stringify(menu))
+
+      expect(tree.map(item => item.label)).toEqual(['Home', 'About', 'Services', 'Contact'])
+    })
+  })
+
+  describe('Generated Ids', () => {
+    const getButton = label =>
+      [...menuContainer.querySelectorAll('button')].find(button => button.textContent.trim() === label)
+
+    it('should derive ids from the container and label path', async () => {
+      menuContainer.id = 'main'
+      const menu = new Menubar({ hasMobile: false })
+      await menu.init()
+
+      const nested = getButton('Nested Services')
+      expect(getButton('About').getAttribute('data-plugin-id')).toBe('main-about')
+      expect(nested.getAttribute('data-plugin-id')).toBe('main-services-nested-services')
+      expect(nested.getAttribute('aria-controls')).toBe('panel-main-services-nested-services')
+      expect(nested.nextElementSibling.id).toBe('panel-main-services-nested-services')
+    })
+
+    it('should produce the same ids after destroy and init', async () => {
+      const menu = new Menubar({ hasMobile: false })
+      await menu.init()
+      const ids = [...menuContainer.querySelectorAll('button')].map(button => button.getAttribute('aria-controls'))
+
+      menu.destroy(menuContainer)
+      await menu.init()
+
+      expect([...menuContainer.querySelectorAll('button')].map(button => button.getAttribute('aria-controls'))).toEqual(
+        ids,
+      )
+      expect(ids[0]).toBe('panel-menu-about')
+    })
+
+    it('should add a suffix when an id is taken', async () => {
+      document.body.insertAdjacentHTML('afterbegin', '<div id="panel-menu-about"></div>')
+      const menu = new Menubar({ hasMobile: false })
+      await menu.init()
+
+      expect(getButton('About').getAttribute('aria-controls')).toBe('panel-menu-about-2')
+    })
+
+    it('should keep the ids of two menus apart', async () => {
+      menuContainer.insertAdjacentHTML('afterend', menuContainer.outerHTML)
+      const menu = new Menubar({ hasMobile: false })
+      await menu.init()
+
+      const [first, second] = document.querySelectorAll('.c-menu')
+      expect(first.querySelector('button').getAttribute('data-plugin-id')).toBe('menu-about')
+      expect(second.querySelector('button').getAttribute('data-plugin-id')).toBe('menu-about-2')
+    })
+
+    it('should collect the taken ids once per pass', async () => {
+      const querySpy = jest.spyOn(document, 'querySelectorAll')
+      const menu = new Menubar({ hasMobile: false })
+      await menu.init()
+
+      expect(querySpy.mock.calls.filter(([selector]) => selector.includes('[id]'))).toHaveLength(1)
+      querySpy.mockRestore()
+    })
+
+    it('should reuse existing controller and panel ids', async () => {
+      const about = getButton('About')
+      about.id = 'about'
+      about.nextElementSibling.id = 'about-panel'
+      const menu = new Menubar({ hasMobile: false })
+      await menu.init()
+
+      expect(about.getAttribute('data-plugin-id')).toBe('about')
+      expect(about.getAttribute('aria-controls')).toBe('about-panel')
+
+      menu.destroy(menuContainer)
+      expect(about.nextElementSibling.id).toBe('about-panel')
+    })
+
+    it('should use a custom id generator', async () => {
+      const idGenerator = jest.fn((element, { path }) => `nav-${path.map(({ index }) => index).join('-')}`)
+      const menu = new Menubar({ hasMobile: false, idGenerator })
+      await menu.init()
+
+      expect(getButton('Nested Services').getAttribute('aria-controls')).toBe('panel-nav-2-2')
+      expect(idGenerator).toHaveBeenCalledWith(
+        getButton('About'),
+        expect.objectContaining({ menuContainer, path: [{ label: 'About', index: 1 }] }),
+      )
+    })
+  })
+
+  describe('ARIA Menu Roles', () => {
+    const getItem = label =>
+      [...menuContainer.querySelectorAll('.menu__link')].find(item => item.textContent.trim() === label)
+
+    it('should not apply roles by default', async () => {
+      const menu = new Menubar({ hasMobile: false })
+      await menu.init()
+
+      expect(menuContainer.querySelector('[role]')).toBeNull()
+    })
+
+    it('should apply menubar, menu, menuitem and none roles', async () => {
+      const menu = new Menubar({ hasMobile: false, applyRoles: true })
+      await menu.init()
+
+      const topLevelMenu = menuContainer.querySelector('[data-depth="0"]')
+      const aboutPanel = getItem('About').nextElementSibling
+      expect(topLevelMenu.getAttribute('role')).toBe('menubar')
+      expect(topLevelMenu.hasAttribute('aria-orientation')).toBe(false)
+      expect(aboutPanel.getAttribute('role')).toBe('menu')
+      expect(aboutPanel.getAttribute('aria-label')).toBe('About')
+      expect(getItem('Nested Services').nextElementSibling.getAttribute('role')).toBe('menu')
+      expect(
+        [...menuContainer.querySelectorAll('.menu__item')].every(item => item.getAttribute('role') === 'none'),
+      ).toBe(true)
+      expect(
+        [...menuContainer.querySelectorAll('.menu__link')].every(item => item.getAttribute('role') === 'menuitem'),
+      ).toBe(true)
+    })
+
+    it('should set aria-orientation on vertical menubars', async () => {
+      const menu = new Menubar({ hasMobile: false, applyRoles: true, orientation: 'vertical' })
+      await menu.init()
+
+      expect(menuContainer.querySelector('[data-depth="0"]').getAttribute('aria-orientation')).toBe('vertical')
+    })
+
+    it('should make mega menu panels the menu and their lists presentational', async () => {
+      document.body.innerHTML = '<nav></nav>'
+      const nav = document.querySelector('nav')
+      await Menubar.render(nav, [{ label: 'Services', mega: true, children: [{ label: 'Design', href: '#design' }] }], {
+        hasMobile: false,
+        applyRoles: true,
+      })
+
+      const panel = nav.querySelector('.c-mega-menu')
+      expect(panel.getAttribute('role')).toBe('menu')
+      expect(panel.querySelector('ul').getAttribute('role')).toBe('none')
+      expect(nav.querySelector('span').getAttribute('role')).toBe('menuitem')
+      expect(nav.querySelector('a').getAttribute('role')).toBe('menuitem')
+    })
+
+    it('should make only one top-level item tabbable and move it with focus', async () => {
+      const menu = new Menubar({ hasMobile: false, applyRoles: true })
+      await menu.init()
+
+      const tabbable = () => [...menuContainer.querySelectorAll('[tabindex="0"]')]
+      expect(tabbable()).toEqual([getItem('Home')])
+      expect(getItem('Team').getAttribute('tabindex')).toBe('-1')
+
+      getItem('Services').focus()
+      expect(tabbable()).toEqual([getItem('Services')])
+
+      getItem('Research').focus()
+      expect(tabbable()).toEqual([getItem('Services')])
+    })
+
+    it('should apply roles to items added on refresh', async () => {
+      const menu = new Menubar({ hasMobile: false, applyRoles: true })
+      await menu.init()
+      getItem('Contact').focus()
+
+      menuContainer
+        .querySelector('[data-depth="0"]')
+        .insertAdjacentHTML('beforeend', '<li class="menu__item"><a href="#blog" class="menu__link">Blog</a></li>')
+      menu.refresh(menuContainer)
+
+      expect(getItem('Blog').getAttribute('role')).toBe('menuitem')
+      expect(getItem('Blog').getAttribute('tabindex')).toBe('-1')
+      expect(getItem('Contact').getAttribute('tabindex')).toBe('0')
+    })
+
+    it('should restore the original attributes on destroy', async () => {
+      getItem('Home').setAttribute('tabindex', '0')
+      const before = menuContainer.outerHTML
+      const menu = new Menubar({ hasMobile: false, applyRoles: true })
+      await menu.init()
+      getItem('Services').focus()
+
+      menu.destroy(menuContainer)
+
+      expect(menuContainer.outerHTML).toBe(before)
+    })
+  })
+
+  describe('Announcements', () => {
+    const getRegion = () => document.querySelector('[aria-live="polite"]')
+    const getButton = label =>
+      [...menuContainer.querySelectorAll('button')].find(button => button.textContent.trim() === label)
+
+    it('should not add a live region by default', async () => {
+      const menu = new Menubar({ mobileControlId: 'mobile-toggle' })
+      await menu.init()
+      menu.open(getButton('About'))
+
+      expect(getRegion()).toBeNull()
+    })
+
+    it('should announce opened submenus with their item count', async () => {
+      const menu = new Menubar({ mobileControlId: 'mobile-toggle', announce: true })
+      await menu.init()
+
+      getButton('Services').click()
+      expect(getRegion().textContent).toBe('Services submenu, 3 items')
+
+      menu.open(getButton('Nested Services'))
+      expect(getRegion().textContent).toBe('Nested Services submenu, 2 items')
+      expect(document.querySelectorAll('[aria-live]')).toHaveLength(1)
+    })
+
+    it('should not announce vetoed or already open submenus', async () => {
+      const menu = new Menubar({ mobileControlId: 'mobile-toggle', announce: true })
+      await menu.init()
+      menu.open(getButton('About'))
+      getRegion().textContent = ''
+
+      menu.open(getButton('About'))
+      menuContainer.addEventListener('menu:beforeopen', event => event.preventDefault())
+      menu.open(getButton('Services'))
+
+      expect(getRegion().textContent).toBe('')
+    })
+
+    it('should announce the mobile menu opening and closing', async () => {
+      const menu = new Menubar({ mobileControlId: 'mobile-toggle', announce: true })
+      await menu.init()
+      const mobileButton = document.getElementById('mobile-toggle')
+
+      mobileButton.click()
+      expect(getRegion().textContent).toBe('Navigation menu opened')
+
+      mobileButton.click()
+      expect(getRegion().textContent).toBe('Navigation menu closed')
+    })
+
+    it('should use localized templates and functions', async () => {
+      menuContainer.setAttribute('aria-label', 'Hauptmenü')
+      const menu = new Menubar({
+        mobileControlId: 'mobile-toggle',
+        announce: true,
+        messages: {
+          submenuOpen: ({ label, count }) => `${label}, ${count} Einträge`,
+          mobileOpen: '{label} geöffnet',
+        },
+      })
+      await menu.init()
+
+      document.getElementById('mobile-toggle').click()
+      expect(getRegion().textContent).toBe('Hauptmenü geöffnet')
+
+      menu.open(getButton('About'))
+      expect(getRegion().textContent).toBe('About, 3 Einträge')
+    })
+
+    it('should repeat identical messages', async () => {
+      const menu = new Menubar({ mobileControlId: 'mobile-toggle', announce: true })
+      await menu.init()
+
+      menu.open(getButton('About'))
+      menu.close(getButton('About'))
+      menu.open(getButton('About'))
+
+      expect(getRegion().textContent).toBe('About submenu, 3 items\u00a0')
+    })
+
+    it('should remove the live region on destroyAll', async () => {
+      const menu = new Menubar({ mobileControlId: 'mobile-toggle', announce: true })
+      await menu.init()
+      menu.open(getButton('About'))
+
+      menu.destroyAll()
+
+      expect(getRegion()).toBeNull()
+    })
+  })
+
+  describe('Active Trail', () => {
+    const getItem = label =>
+      [...menuContainer.querySelectorAll('.menu__link')].find(item => item.textContent.trim() === label)
+    const getTrail = () => [...menuContainer.querySelectorAll('.is-active-trail')]
+
+    beforeEach(() => {
+      getItem('Home').setAttribute('href', '/')
+      getItem('Research').setAttribute('href', '/services')
+      getItem('Development').setAttribute('href', '/services-old')
+      getItem('Web Design').setAttribute('href', '/services/design')
+    })
+
+    afterEach(() => {
+      window.history.pushState({}, '', '/')
+    })
+
+    it('should mark the exact match and the items leading to it', async () => {
+      window.history.pushState({}, '', '/services/design')
+      const menu = new Menubar({ hasMobile: false, activeTrail: 'exact' })
+      await menu.init()
+
+      const webDesign = getItem('Web Design')
+      expect(webDesign.getAttribute('aria-current')).toBe('page')
+      expect(menuContainer.querySelectorAll('[aria-current]')).toHaveLength(1)
+      expect(getTrail()).toEqual([
+        getItem('Services').parentElement,
+        getItem('Services'),
+        getItem('Nested Services').parentElement,
+        getItem('Nested Services'),
+        webDesign.parentElement,
+      ])
+    })
+
+    it('should only mark the most specific prefix match', async () => {
+      window.history.pushState({}, '', '/services/design/branding')
+      const menu = new Menubar({ hasMobile: false, activeTrail: 'prefix' })
+      await menu.init()
+
+      expect([...menuContainer.querySelectorAll('[aria-current="page"]')]).toEqual([getItem('Web Design')])
+    })
+
+    it('should match section paths by prefix', async () => {
+      window.history.pushState({}, '', '/services/consulting')
+      const menu = new Menubar({ hasMobile: false, activeTrail: 'prefix' })
+      await menu.init()
+
+      expect([...menuContainer.querySelectorAll('[aria-current="page"]')]).toEqual([getItem('Research')])
+      expect(getItem('Development').hasAttribute('aria-current')).toBe(false)
+    })
+
+    it('should not mark in-page links that point elsewhere', async () => {
+      const menu = new Menubar({ hasMobile: false, activeTrail: 'exact' })
+      getItem('Home').setAttribute('href', '#home')
+      await menu.init()
+
+      expect(menuContainer.querySelector('[aria-current]')).toBeNull()
+    })
+
+    it('should skip links with an href that can not be parsed', async () => {
+      window.history.pushState({}, '', '/services')
+      getItem('Home').setAttribute('href', 'http://[')
+      const menu = new Menubar({ hasMobile: false, activeTrail: 'exact' })
+      await menu.init()
+
+      expect(getItem('Home').hasAttribute('aria-current')).toBe(false)
+      expect(getItem('Research').getAttribute('aria-current')).toBe('page')
+    })
+
+    it('should use a custom matcher', async () => {
+      const matcher = jest.fn(url => url.pathname === '/services-old')
+      const menu = new Menubar({ hasMobile: false, activeTrail: matcher })
+      await menu.init()
+
+      expect(getItem('Development').getAttribute('aria-current')).toBe('page')
+      expect(matcher).toHaveBeenCalledWith(expect.any(URL), getItem('Home'), window.location)
+    })
+
+    it('should move the trail after client-side navigation', async () => {
+      window.history.pushState({}, '', '/services/design')
+      const menu = new Menubar({ hasMobile: false, activeTrail: 'exact' })
+      await menu.init()
+
+      window.history.pushState({}, '', '/')
+      expect(menu.updateActiveTrail()).toEqual([getItem('Home')])
+
+      expect(getItem('Web Design').hasAttribute('aria-current')).toBe(false)
+      expect(getTrail()).toEqual([getItem('Home').parentElement])
+    })
+
+    it('should leave an existing aria-current alone', async () => {
+      window.history.pushState({}, '', '/services/design')
+      getItem('Web Design').setAttribute('aria-current', 'location')
+      const menu = new Menubar({ hasMobile: false, activeTrail: 'exact' })
+      await menu.init()
+
+      menu.updateActiveTrail(menuContainer, new URL('http://localhost/'))
+
+      expect(getItem('Web Design').getAttribute('aria-current')).toBe('location')
+    })
+
+    it('should expand the trail when the mobile menu opens', async () => {
+      window.history.pushState({}, '', '/services/design')
+      const menu = new Menubar({ mobileControlId: 'mobile-toggle', activeTrail: 'exact', expandActiveTrail: true })
+      await menu.init()
+
+      document.getElementById('mobile-toggle').click()
+
+      expect(getItem('Services').getAttribute('aria-expanded')).toBe('true')
+      expect(getItem('Nested Services').getAttribute('aria-expanded')).toBe('true')
+      expect(getItem('About').getAttribute('aria-expanded')).toBe('false')
+    })
+
+    it('should restore the markup on destroy', async () => {
+      window.history.pushState({}, '', '/services/design')
+      const before = menuContainer.outerHTML
+      const menu = new Menubar({ hasMobile: false, activeTrail: 'exact' })
+      await menu.init()
+
+      menu.destroy(menuContainer)
+
+      expect(menuContainer.outerHTML).toBe(before)
     })
   })
 
@@ -0,0 +1,272 @@
+import { TreeMenu } from '../src/index.js'
+
+// Mock matchMedia
+Object.defineProperty(window, 'matchMedia', {
+  writable: true,
+  value: jest.fn().mockImplementation(query => ({
+    matches: false,
+    media: query,
+    onchange: null,
+    addListener: jest.fn(), // deprecated
+    removeListener: jest.fn(), // deprecated
+    addEventListener: jest.fn(),
+    removeEventListener: jest.fn(),
+    dispatchEvent: jest.fn(),
+  })),
+})
+
+const pressKey = (element, key) => {
+  const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true })
+  element.dispatchEvent(event)
+  return event
+}
+
+describe('TreeMenu', () => {
+  let treeContainer
+  let tree
+
+  beforeEach(async () => {
+    document.body.innerHTML = `
+      <nav class="c-tree-menu" aria-label="Documentation">
+        <ul class="menu">
+          <li class="menu__item">
+            <a href="#overview" class="menu__link">Overview</a>
+          </li>
+          <li class="menu__item">
+            <button class="menu__link">Guides</button>
+            <ul class="menu">
+              <li class="menu__item">
+                <a href="#install" class="menu__link">Installation</a>
+              </li>
+              <li class="menu__item">
+                <button class="menu__link">Advanced</button>
+                <ul class="menu">
+                  <li class="menu__item">
+                    <a href="#theming" class="menu__link">Theming</a>
+                  </li>
+                </ul>
+              </li>
+            </ul>
+          </li>
+          <li class="menu__item">
+            <button class="menu__link">Reference</button>
+            <ul class="menu">
+              <li class="menu__item">
+                <a href="#api" class="menu__link">API</a>
+              </li>
+            </ul>
+          </li>
+        </ul>
+      </nav>
+    `
+
+    treeContainer = document.querySelector('.c-tree-menu')
+    tree = new TreeMenu()
+    await tree.init()
+  })
+
+  afterEach(() => {
+    tree.destroyAll()
+    document.body.innerHTML = ''
+    jest.clearAllMocks()
+  })
+
+  const getItem = label =>
+    [...treeContainer.querySelectorAll('.menu__link')].find(item => item.textContent.trim() === label)
+
+  describe('Initialization', () => {
+    it('should use tree defaults', () => {
+      expect(tree.config.menuSelector).toBe('.c-tree-menu')
+      expect(tree.config.hasMobile).toBe(false)
+      expect(tree.config.linkClass).toBe('menu__link')
+    })
+
+    it('should apply tree, treeitem and group roles', () => {
+      expect(treeContainer.querySelector('ul').getAttribute('role')).toBe('tree')
+      expect(getItem('Overview').getAttribute('role')).toBe('treeitem')
+      expect(getItem('Overview').parentElement.getAttribute('role')).toBe('none')
+
+      const group = document.getElementById(getItem('Guides').getAttribute('aria-owns'))
+      expect(group.getAttribute('role')).toBe('group')
+      expect(getItem('Guides').hasAttribute('aria-haspopup')).toBe(false)
+    })
+
+    it('should set level, set size and position', () => {
+      const reference = getItem('Reference')
+      expect(reference.getAttribute('aria-level')).toBe('1')
+      expect(reference.getAttribute('aria-setsize')).toBe('3')
+      expect(reference.getAttribute('aria-posinset')).toBe('3')
+
+      const theming = getItem('Theming')
+      expect(theming.getAttribute('aria-level')).toBe('3')
+      expect(theming.getAttribute('aria-setsize')).toBe('1')
+      expect(theming.getAttribute('aria-posinset')).toBe('1')
+    })
+
+    it('should start collapsed with only the first item tabbable', () => {
+      expect(getItem('Guides').getAttribute('aria-expanded')).toBe('false')
+      expect(getItem('Overview').getAttribute('tabindex')).toBe('0')
+      expect(treeContainer.querySelectorAll('[tabindex="0"]').length).toBe(1)
+    })
+  })
+
+  describe('Keyboard Navigation', () => {
+    it('should move between visible items with Down and Up', () => {
+      const overview = getItem('Overview')
+      overview.focus()
+
+      pressKey(overview, 'ArrowDown')
+      expect(document.activeElement).toBe(getItem('Guides'))
+      expect(getItem('Guides').getAttribute('tabindex')).toBe('0')
+      expect(overview.getAttribute('tabindex')).toBe('-1')
+
+      // Collapsed children are skipped
+      pressKey(getItem('Guides'), 'ArrowDown')
+      expect(document.activeElement).toBe(getItem('Reference'))
+
+      pressKey(getItem('Reference'), 'ArrowUp')
+      expect(document.activeElement).toBe(getItem('Guides'))
+    })
+
+    it('should expand with Right, then move to the first child', () => {
+      const guides = getItem('Guides')
+      guides.focus()
+
+      pressKey(guides, 'ArrowRight')
+      expect(guides.getAttribute('aria-expanded')).toBe('true')
+      expect(document.activeElement).toBe(guides)
+
+      pressKey(guides, 'ArrowRight')
+      expect(document.activeElement).toBe(getItem('Installation'))
+    })
+
+    it('should collapse with Left, or move to the parent', () => {
+      const guides = getItem('Guides')
+      guides.focus()
+      pressKey(guides, 'ArrowRight')
+      pressKey(guides, 'ArrowRight')
+
+      pressKey(getItem('Installation'), 'ArrowLeft')
+      expect(document.activeElement).toBe(guides)
+
+      pressKey(guides, 'ArrowLeft')
+      expect(guides.getAttribute('aria-expanded')).toBe('false')
+    })
+
+    it('should move to the first and last visible items with Home and End', () => {
+      const overview = getItem('Overview')
+      overview.focus()
+
+      pressKey(overview, 'End')
+      expect(document.activeElement).toBe(getItem('Reference'))
+
+      pressKey(getItem('Reference'), 'Home')
+      expect(document.activeElement).toBe(overview)
+    })
+
+    it('should expand all siblings with *', () => {
+      const overview = getItem('Overview')
+      overview.focus()
+
+      pressKey(overview, '*')
+
+      expect(getItem('Guides').getAttribute('aria-expanded')).toBe('true')
+      expect(getItem('Reference').getAttribute('aria-expanded')).toBe('true')
+      expect(getItem('Advanced').getAttribute('aria-expanded')).toBe('false')
+    })
+
+    it('should toggle a parent item with Enter and leave links alone', () => {
+      const guides = getItem('Guides')
+      guides.focus()
+
+      pressKey(guides, 'Enter')
+      expect(guides.getAttribute('aria-expanded')).toBe('true')
+
+      pressKey(guides, 'Enter')
+      expect(guides.getAttribute('aria-expanded')).toBe('false')
+
+      expect(pressKey(getItem('Overview'), 'Enter').defaultPrevented).toBe(false)
+    })
+
+    it('should move to a matching visible item when typing', () => {
+      const overview = getItem('Overview')
+      overview.focus()
+
+      pressKey(overview, 'r')
+
+      expect(document.activeElement).toBe(getItem('Reference'))
+    })
+  })
+
+  describe('Right-to-left', () => {
+    it('should mirror Right and Left', () => {
+      treeContainer.setAttribute('dir', 'rtl')
+      const guides = getItem('Guides')
+      guides.focus()
+
+      pressKey(guides, 'ArrowLeft')
+      expect(guides.getAttribute('aria-expanded')).toBe('true')
+
+      pressKey(guides, 'ArrowRight')
+      expect(guides.getAttribute('aria-expanded')).toBe('false')
+    })
+  })
+
+  describe('Mouse Interaction', () => {
+    it('should toggle a parent item on click', () => {
+      const reference = getItem('Reference')
+
+      reference.click()
+      expect(reference.getAttribute('aria-expanded')).toBe('true')
+      expect(reference.getAttribute('tabindex')).toBe('0')
+
+      reference.click()
+      expect(reference.getAttribute('aria-expanded')).toBe('false')
+    })
+  })
+
+  describe('Programmatic API', () => {
+    it('should open nested groups with openPath', () => {
+      tree.openPath(['Guides', 'Advanced'], treeContainer)
+
+      expect(getItem('Guides').getAttribute('aria-expanded')).toBe('true')
+      expect(getItem('Advanced').getAttribute('aria-expanded')).toBe('true')
+    })
+  })
+
+  describe('Teardown', () => {
+    it('should restore the original markup and remove listeners on destroy', async () => {
+      tree.destroyAll()
+      document.body.innerHTML = treeContainer.outerHTML
+      treeContainer = document.querySelector('.c-tree-menu')
+      const before = document.body.innerHTML
+
+      tree = new TreeMenu()
+      await tree.init()
+      tree.destroy(treeContainer)
+
+      expect(document.body.innerHTML).toBe(before)
+
+      const guides = getItem('Guides')
+      guides.click()
+      expect(guides.hasAttribute('aria-expanded')).toBe(false)
+    })
+
+    it('should destroy the mobile menu controller', async () => {
+      tree.destroyAll()
+      treeContainer.setAttribute('data-mobile', '')
+      treeContainer.insertAdjacentHTML('beforebegin', '<button id="nav-toggle" aria-expanded="false">Menu</button>')
+      const toggle = document.getElementById('nav-toggle')
+
+      tree = new TreeMenu({ hasMobile: true })
+      await tree.init()
+      expect(toggle.classList.contains('js-mobile-toggle')).toBe(true)
+
+      tree.destroy(treeContainer)
+      toggle.click()
+
+      expect(toggle.classList.contains('js-mobile-toggle')).toBe(false)
+      expect(toggle.getAttribute('aria-expanded')).toBe('false')
+    })
+  })
+})